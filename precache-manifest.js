@@ -0,0 +1,110 @@
+// Generated by tools/build-precache.js – do not edit by hand.
+self.PRECACHE_MANIFEST = {
+    "version": "7e38d720ab",
+    "assets": [
+        {
+            "url": "/",
+            "revision": "55f0983fd1"
+        },
+        {
+            "url": "/index.html",
+            "revision": "55f0983fd1"
+        },
+        {
+            "url": "/offline.html",
+            "revision": "7f16d003f7"
+        },
+        {
+            "url": "/styles.css",
+            "revision": "5c0b2173ca"
+        },
+        {
+            "url": "/script.js",
+            "revision": "5831403901"
+        },
+        {
+            "url": "/manifest.json",
+            "revision": "d293780a48"
+        },
+        {
+            "url": "/images/manifest.json",
+            "revision": "80f8145968"
+        },
+        {
+            "url": "/data/opening-hours.json",
+            "revision": "d7ad5f1479"
+        },
+        {
+            "url": "/data/practice.json",
+            "revision": "fdea50bf89"
+        },
+        {
+            "url": "/data/service-area.json",
+            "revision": "4d1b304f53"
+        },
+        {
+            "url": "/data/i18n/en.json",
+            "revision": "34f45854d0"
+        },
+        {
+            "url": "/data/i18n/ru.json",
+            "revision": "14cd9bc9b4"
+        },
+        {
+            "url": "/icons/apple-touch-icon.png",
+            "revision": "1e2075a507"
+        },
+        {
+            "url": "/icons/favicon-32x32.png",
+            "revision": "dec2e49d0b"
+        },
+        {
+            "url": "/icons/icon-192x192.png",
+            "revision": "a36c52bb90"
+        },
+        {
+            "url": "/images/logo.png",
+            "revision": "3a86a8a3d7"
+        },
+        {
+            "url": "/images/map-static.svg",
+            "revision": "1ae957515c"
+        },
+        {
+            "url": "/icons/icon-72x72.png",
+            "revision": "8f575386f1"
+        },
+        {
+            "url": "/icons/icon-96x96.png",
+            "revision": "0b688a5722"
+        },
+        {
+            "url": "/icons/icon-128x128.png",
+            "revision": "9828183b99"
+        },
+        {
+            "url": "/icons/icon-144x144.png",
+            "revision": "7873743bf2"
+        },
+        {
+            "url": "/icons/icon-152x152.png",
+            "revision": "fd3310fb06"
+        },
+        {
+            "url": "/icons/icon-384x384.png",
+            "revision": "1b7f19fe06"
+        },
+        {
+            "url": "/icons/icon-512x512.png",
+            "revision": "52bf221d5a"
+        },
+        {
+            "url": "/icons/maskable-192x192.png",
+            "revision": "b398252a22"
+        },
+        {
+            "url": "/icons/maskable-512x512.png",
+            "revision": "0e4e5bd4a8"
+        }
+    ]
+};
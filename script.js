@@ -5,176 +5,3583 @@
 
 'use strict';
 
+// Gesture tuning for carousel swipes
+const CAROUSEL_GESTURES = {
+    axisLockDistance: 10,      // px moved before deciding between swipe and page scroll
+    swipeThreshold: 0.2,       // fraction of the slide width that commits a swipe
+    flickVelocity: 0.4,        // px/ms that commits a swipe regardless of distance
+    minSettleVelocity: 0.8,    // px/ms used for the settle animation of slow drags
+    maxSettleDuration: 400     // ms
+};
+
+// Default carousel behaviour, overridable per container through data-* attributes:
+// data-interval="5000" data-autoplay="false" data-loop="false" data-transition="slide" data-hide-controls="false"
+const CAROUSEL_DEFAULTS = {
+    interval: 4000,
+    autoplay: true,
+    loop: true,
+    transition: 'fade',
+    hideControls: true
+};
+
+// localStorage key for the visitor's play/pause choice, shared by all carousels
+const CAROUSEL_AUTOPLAY_STORAGE_KEY = 'podologie-carousel-autoplay';
+
 // Unified Carousel Component
 class UnifiedCarousel {
-    constructor(containerSelector, autoSlideDelay = 4000) {
+    constructor(containerSelector, options = {}) {
         this.container = document.querySelector(containerSelector);
         if (!this.container) return;
 
+        this.options = {
+            ...CAROUSEL_DEFAULTS,
+            ...UnifiedCarousel.readOptions(this.container),
+            ...options
+        };
+
         this.currentSlideIndex = 0;
         this.slides = [];
         this.dots = [];
         this.autoSlideInterval = null;
-        this.autoSlideDelay = autoSlideDelay;
+        this.autoSlideDelay = this.options.interval;
+        this.pauseReasons = new Set();
         this.isReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         this.containerSelector = containerSelector;
+        this.isDestroyed = false;
+
+        // A stored visitor choice wins over the reduced motion default
+        const preference = UnifiedCarousel.getAutoplayPreference();
+        this.isPlaying = this.options.autoplay &&
+            (preference ? preference === 'playing' : !this.isReducedMotion);
+
+        // Every listener is registered with this signal so destroy() can remove them at once
+        this.listeners = new AbortController();
+        this.drag = null;
+        this.isSettling = false;
+        this.suppressClick = false;
+
+        this.init();
+    }
+
+    // Read carousel options from the container's data attributes
+    static readOptions(container) {
+        const { interval, autoplay, loop, transition, hideControls } = container.dataset;
+        const options = {};
+
+        if (interval !== undefined) {
+            const delay = Number(interval);
+            if (Number.isFinite(delay) && delay > 0) {
+                options.interval = delay;
+            } else {
+                console.warn(`Ignoring invalid data-interval "${interval}"`);
+            }
+        }
+        if (autoplay !== undefined) options.autoplay = autoplay !== 'false';
+        if (loop !== undefined) options.loop = loop !== 'false';
+        if (hideControls !== undefined) options.hideControls = hideControls !== 'false';
+        if (transition === 'fade' || transition === 'slide') options.transition = transition;
+
+        return options;
+    }
+
+    static getAutoplayPreference() {
+        try {
+            return localStorage.getItem(CAROUSEL_AUTOPLAY_STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static setAutoplayPreference(isPlaying) {
+        try {
+            localStorage.setItem(CAROUSEL_AUTOPLAY_STORAGE_KEY, isPlaying ? 'playing' : 'paused');
+        } catch (error) {
+            console.warn('Could not store autoplay preference:', error);
+        }
+    }
+
+    init() {
+        this.waitForDOM(() => {
+            this.initCarousel();
+            this.updateAutoSlide();
+        });
+    }
+
+    waitForDOM(callback) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', callback);
+        } else {
+            callback();
+        }
+    }
+
+    initCarousel() {
+        try {
+            this.slides = Array.from(this.container.querySelectorAll('.carousel-slide'));
+
+            if (this.slides.length === 0) {
+                console.info(`No carousel slides found in ${this.containerSelector}`);
+                return;
+            }
+
+            this.container.classList.add(`carousel-container--${this.options.transition}`);
+            this.dots = this.renderDots();
+            this.createLiveRegion();
+            this.createToggleButton();
+
+            // Set up navigation buttons
+            const prevBtn = this.container.querySelector('.carousel-nav--prev');
+            const nextBtn = this.container.querySelector('.carousel-nav--next');
+            this.prevButton = prevBtn;
+            this.nextButton = nextBtn;
+
+            // Controls are pointless for a single image
+            if (this.options.hideControls && this.slides.length <= 1) {
+                [prevBtn, nextBtn, this.dotsContainer].forEach(control => {
+                    if (control) control.hidden = true;
+                });
+            }
+
+            const { signal } = this.listeners;
+
+            if (prevBtn) {
+                prevBtn.addEventListener('click', () => this.prevSlide(), { signal });
+                UnifiedCarousel.setLabel(prevBtn, 'carousel.previous', 'Vorheriges Bild');
+            }
+            if (nextBtn) {
+                nextBtn.addEventListener('click', () => this.nextSlide(), { signal });
+                UnifiedCarousel.setLabel(nextBtn, 'carousel.next', 'Nächstes Bild');
+            }
+
+            // Set up dot navigation
+            this.dots.forEach((dot, index) => {
+                dot.addEventListener('click', () => this.goTo(index), { signal });
+            });
+
+            // Set up mouse interactions for auto-slide
+            this.container.addEventListener('pointerenter', (e) => {
+                if (e.pointerType === 'mouse') this.suspendAutoSlide('hover');
+            }, { signal });
+            this.container.addEventListener('pointerleave', (e) => {
+                if (e.pointerType === 'mouse') this.resumeAutoSlide('hover');
+            }, { signal });
+
+            // Keyboard users get the same pause while focus is inside the carousel
+            this.container.addEventListener('focusin', () => this.suspendAutoSlide('focus'), { signal });
+            this.container.addEventListener('focusout', (e) => {
+                if (!this.container.contains(e.relatedTarget)) {
+                    this.resumeAutoSlide('focus');
+                }
+            }, { signal });
+
+            // Set up swipe and drag gestures
+            this.initGestures();
+
+            // Initialize first slide
+            this.showSlide(0);
+
+            // Generated labels follow the page language
+            i18n.apply(this.container);
+
+            console.info(`Carousel initialized: ${this.containerSelector} with ${this.slides.length} slides`);
+        } catch (error) {
+            console.error('Error initializing carousel:', error);
+        }
+    }
+
+    // Generate one dot per slide so the markup cannot drift out of sync
+    renderDots() {
+        this.dotsContainer = this.container.querySelector('.carousel-dots');
+        if (!this.dotsContainer) return [];
+
+        this.dotsContainer.innerHTML = '';
+
+        return this.slides.map((slide, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'carousel-dot';
+            dot.setAttribute('role', 'tab');
+            dot.setAttribute('aria-selected', 'false');
+            dot.setAttribute('aria-label', `Zu Bild ${index + 1} wechseln`);
+            dot.title = `Bild ${index + 1}`;
+            dot.dataset.i18nAriaLabel = 'carousel.goTo';
+            dot.dataset.i18nTitle = 'carousel.image';
+            dot.dataset.i18nParamNumber = index + 1;
+
+            this.dotsContainer.appendChild(dot);
+            return dot;
+        });
+    }
+
+    // One persistent live region per carousel for slide announcements
+    createLiveRegion() {
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.container.appendChild(this.liveRegion);
+    }
+
+    // Visible play/pause control so rotation can be stopped without a mouse (WCAG 2.2.2)
+    createToggleButton() {
+        const wrapper = this.container.querySelector('.carousel-wrapper');
+        if (!wrapper || !this.options.autoplay || this.slides.length <= 1) return;
+
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'carousel-toggle';
+        UnifiedCarousel.setLabel(this.toggleButton, 'carousel.toggle', 'Automatisches Weiterblättern anhalten');
+        this.toggleButton.addEventListener('click', () => this.toggle(), { signal: this.listeners.signal });
+
+        wrapper.appendChild(this.toggleButton);
+        this.updateToggleButton();
+    }
+
+    updateToggleButton() {
+        if (!this.toggleButton) return;
+
+        this.toggleButton.setAttribute('aria-pressed', String(!this.isPlaying));
+        this.toggleButton.textContent = this.isPlaying ? '❚❚' : '▶';
+    }
+
+    // German aria-label and title of a control, translated by i18n.apply()
+    static setLabel(element, key, label) {
+        element.setAttribute('aria-label', label);
+        element.title = label;
+        element.dataset.i18nAriaLabel = key;
+        element.dataset.i18nTitle = key;
+    }
+
+    // Play/pause through the visible control and remember the choice for future visits
+    toggle() {
+        const shouldPlay = !this.isPlaying;
+
+        if (shouldPlay) {
+            // An explicit request to play overrides the hover and focus pauses
+            this.pauseReasons.delete('hover');
+            this.pauseReasons.delete('focus');
+        }
+
+        this.setPlaying(shouldPlay, true);
+        UnifiedCarousel.setAutoplayPreference(shouldPlay);
+    }
+
+    // Index of the slide in the given direction, or null at the ends of a non-looping carousel
+    getRelativeIndex(direction) {
+        const index = this.currentSlideIndex + direction;
+
+        if (index >= 0 && index < this.slides.length) return index;
+        if (!this.options.loop) return null;
+
+        return (index + this.slides.length) % this.slides.length;
+    }
+
+    // Set up Pointer Events based swipe/drag handling on the slide area
+    initGestures() {
+        this.wrapper = this.container.querySelector('.carousel-wrapper');
+        if (!this.wrapper || this.slides.length <= 1 || !window.PointerEvent) return;
+
+        const { signal } = this.listeners;
+
+        this.wrapper.addEventListener('pointerdown', (e) => this.handlePointerDown(e), { signal });
+        this.wrapper.addEventListener('pointermove', (e) => this.handlePointerMove(e), { signal });
+        this.wrapper.addEventListener('pointerup', (e) => this.handlePointerUp(e), { signal });
+        this.wrapper.addEventListener('pointercancel', (e) => this.handlePointerCancel(e), { signal });
+
+        // Native image dragging would swallow mouse drags
+        this.wrapper.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+
+        // A drag must not be treated as a click on the slide
+        this.wrapper.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.suppressClick = false;
+            }
+        }, { capture: true, signal });
+    }
+
+    handlePointerDown(event) {
+        if (!event.isPrimary || event.button !== 0 || this.isSettling) return;
+        if (event.target.closest('button')) return;
+
+        this.suppressClick = false;
+        this.drag = {
+            pointerId: event.pointerId,
+            pointerType: event.pointerType,
+            startX: event.clientX,
+            startY: event.clientY,
+            lastX: event.clientX,
+            lastTime: event.timeStamp,
+            deltaX: 0,
+            velocity: 0,
+            axis: null,
+            width: this.wrapper.offsetWidth,
+            neighbour: null,
+            neighbourDirection: 0
+        };
+    }
+
+    handlePointerMove(event) {
+        const drag = this.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        const deltaX = event.clientX - drag.startX;
+        const deltaY = event.clientY - drag.startY;
+
+        // Decide once whether this is a horizontal swipe or a vertical page scroll
+        if (!drag.axis) {
+            if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) < CAROUSEL_GESTURES.axisLockDistance) return;
+
+            drag.axis = Math.abs(deltaX) > Math.abs(deltaY) ? 'x' : 'y';
+            if (drag.axis === 'y') {
+                this.drag = null;
+                return;
+            }
+
+            this.wrapper.setPointerCapture(event.pointerId);
+            this.container.classList.add('carousel-container--dragging');
+            this.suspendAutoSlide('drag');
+        }
+
+        event.preventDefault();
+
+        const elapsed = event.timeStamp - drag.lastTime;
+        if (elapsed > 0) {
+            drag.velocity = (event.clientX - drag.lastX) / elapsed;
+        }
+        drag.lastX = event.clientX;
+        drag.lastTime = event.timeStamp;
+        drag.deltaX = deltaX;
+
+        this.renderDrag(drag);
+    }
+
+    handlePointerUp(event) {
+        const drag = this.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        this.drag = null;
+        if (drag.axis !== 'x') return;
+
+        this.suppressClick = true;
+
+        const { deltaX, velocity, width } = drag;
+        const passedThreshold = Math.abs(deltaX) > width * CAROUSEL_GESTURES.swipeThreshold;
+        const flicked = Math.abs(velocity) > CAROUSEL_GESTURES.flickVelocity &&
+            Math.sign(velocity) === Math.sign(deltaX);
+
+        const committed = drag.neighbour && (passedThreshold || flicked);
+        this.settleDrag(drag, committed ? drag.neighbourDirection : 0);
+    }
+
+    handlePointerCancel(event) {
+        const drag = this.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        this.drag = null;
+        if (drag.axis === 'x') {
+            this.settleDrag(drag, 0);
+        }
+    }
+
+    // Let the current slide follow the pointer and reveal the neighbour it is moving towards
+    renderDrag(drag) {
+        const direction = drag.deltaX < 0 ? 1 : -1;
+        const neighbourIndex = this.getRelativeIndex(direction);
+        const neighbour = neighbourIndex === null ? null : this.slides[neighbourIndex];
+
+        if (drag.neighbour && drag.neighbour !== neighbour) {
+            this.clearSlideStyles(drag.neighbour);
+        }
+        drag.neighbour = neighbour;
+        drag.neighbourDirection = direction;
+        drag.neighbourIndex = neighbourIndex;
+
+        // Resist dragging past the first or last slide of a non-looping carousel
+        const offset = neighbour ? drag.deltaX : drag.deltaX / 3;
+        this.slides[this.currentSlideIndex].style.transform = `translateX(${offset}px)`;
+
+        if (neighbour) {
+            neighbour.style.transform = `translateX(${offset + direction * drag.width}px)`;
+            neighbour.style.opacity = '1';
+        }
+    }
+
+    // Animate to the neighbour (direction ±1) or snap back (direction 0), keeping the drag momentum
+    settleDrag(drag, direction) {
+        const current = this.slides[this.currentSlideIndex];
+        const { neighbour, neighbourDirection, width } = drag;
+
+        const distance = direction ? width - Math.abs(drag.deltaX) : Math.abs(drag.deltaX);
+        const speed = Math.max(Math.abs(drag.velocity), CAROUSEL_GESTURES.minSettleVelocity);
+        const duration = this.isReducedMotion ? 0 : Math.min(distance / speed, CAROUSEL_GESTURES.maxSettleDuration);
+        const offset = -direction * width;
+
+        this.isSettling = true;
+
+        [current, neighbour].forEach(slide => {
+            if (slide) slide.style.transition = `transform ${duration}ms ease-out`;
+        });
+        current.style.transform = `translateX(${offset}px)`;
+        if (neighbour) {
+            neighbour.style.transform = `translateX(${offset + neighbourDirection * width}px)`;
+        }
+
+        setTimeout(() => {
+            [current, neighbour].forEach(slide => {
+                if (slide) this.clearSlideStyles(slide);
+            });
+
+            if (direction) {
+                this.showSlide(drag.neighbourIndex, true, direction);
+            }
+
+            // Apply the final state before transitions are re-enabled
+            void this.container.offsetWidth;
+            this.container.classList.remove('carousel-container--dragging');
+            this.isSettling = false;
+            this.resumeAutoSlide('drag');
+        }, duration);
+    }
+
+    clearSlideStyles(slide) {
+        slide.style.removeProperty('transform');
+        slide.style.removeProperty('transition');
+        slide.style.removeProperty('opacity');
+    }
+
+    showSlide(index, announceChange = false, direction = 0) {
+        try {
+            if (index < 0 || index >= this.slides.length) return;
+
+            const previousIndex = this.currentSlideIndex;
+
+            // Remove active classes
+            this.slides.forEach((slide, slideIndex) => {
+                slide.classList.remove('carousel-slide--active');
+                slide.setAttribute('aria-hidden', 'true');
+
+                // Only the visible slide may contain keyboard-focusable content
+                slide.querySelectorAll('[tabindex]').forEach(element => {
+                    element.tabIndex = slideIndex === index ? 0 : -1;
+                });
+            });
+
+            this.dots.forEach((dot) => {
+                dot.classList.remove('carousel-dot--active');
+                dot.setAttribute('aria-selected', 'false');
+            });
+
+            // Add active classes
+            this.slides[index].classList.add('carousel-slide--active');
+            this.slides[index].setAttribute('aria-hidden', 'false');
+
+            if (this.dots[index]) {
+                this.dots[index].classList.add('carousel-dot--active');
+                this.dots[index].setAttribute('aria-selected', 'true');
+            }
+
+            if (this.options.transition === 'slide' && index !== previousIndex) {
+                this.animateSlideTransition(previousIndex, index, direction || Math.sign(index - previousIndex));
+            }
+
+            this.currentSlideIndex = index;
+            this.updateNavButtons();
+
+            if (announceChange) {
+                this.announceSlideChange(index);
+            }
+
+            if (index !== previousIndex) {
+                this.dispatch('change', { index, previousIndex, total: this.slides.length });
+            }
+        } catch (error) {
+            console.error('Error showing slide:', error);
+        }
+    }
+
+    // Move the incoming slide in from the side it comes from and push the outgoing one out
+    animateSlideTransition(fromIndex, toIndex, direction) {
+        // Drag gestures position the slides themselves
+        if (this.container.classList.contains('carousel-container--dragging')) return;
+
+        const incoming = this.slides[toIndex];
+        const outgoing = this.slides[fromIndex];
+
+        incoming.style.transition = 'none';
+        incoming.style.transform = `translateX(${direction * 100}%)`;
+        void incoming.offsetWidth;
+        incoming.style.removeProperty('transition');
+        incoming.style.removeProperty('transform');
+
+        if (outgoing) {
+            outgoing.style.transform = `translateX(${-direction * 100}%)`;
+        }
+    }
+
+    // Disable prev/next at the ends of a non-looping carousel
+    updateNavButtons() {
+        if (this.options.loop) return;
+
+        if (this.prevButton) this.prevButton.disabled = this.getRelativeIndex(-1) === null;
+        if (this.nextButton) this.nextButton.disabled = this.getRelativeIndex(1) === null;
+    }
+
+    nextSlide(announceChange = true) {
+        const nextIndex = this.getRelativeIndex(1);
+        if (nextIndex !== null) {
+            this.showSlide(nextIndex, announceChange, 1);
+        }
+    }
+
+    prevSlide() {
+        const prevIndex = this.getRelativeIndex(-1);
+        if (prevIndex !== null) {
+            this.showSlide(prevIndex, true, -1);
+        }
+    }
+
+    // Public API: show a specific slide and restart the auto-slide timer
+    goTo(index) {
+        this.showSlide(index, true);
+        this.resetAutoSlide();
+    }
+
+    // Public API: start automatic cycling
+    play() {
+        this.setPlaying(true);
+    }
+
+    // Public API: stop automatic cycling until play() is called
+    pause() {
+        this.setPlaying(false);
+    }
+
+    setPlaying(isPlaying, userInitiated = false) {
+        if (this.isDestroyed || this.isPlaying === isPlaying) return;
+
+        this.isPlaying = isPlaying;
+        this.updateAutoSlide();
+        this.updateToggleButton();
+        this.dispatch(isPlaying ? 'play' : 'pause', { userInitiated });
+    }
+
+    // Temporarily hold auto-slide (hover, drag, hidden page, ...) without changing the play state
+    suspendAutoSlide(reason) {
+        this.pauseReasons.add(reason);
+        this.updateAutoSlide();
+    }
+
+    resumeAutoSlide(reason) {
+        this.pauseReasons.delete(reason);
+        this.updateAutoSlide();
+    }
+
+    // Start or stop the timer to match the play state and pending pause reasons
+    updateAutoSlide() {
+        const shouldRun = this.isPlaying && !this.isDestroyed &&
+            this.slides.length > 1 && this.pauseReasons.size === 0;
+
+        if (!shouldRun) {
+            this.stopAutoSlideTimer();
+            return;
+        }
+        if (this.autoSlideInterval) return;
+
+        // Automatic changes are not announced to avoid constant screen reader chatter
+        this.autoSlideInterval = setInterval(() => {
+            this.nextSlide(false);
+
+            // A non-looping carousel stops once it reaches the last slide
+            if (this.getRelativeIndex(1) === null) {
+                this.pause();
+            }
+        }, this.autoSlideDelay);
+    }
+
+    stopAutoSlideTimer() {
+        if (this.autoSlideInterval) {
+            clearInterval(this.autoSlideInterval);
+            this.autoSlideInterval = null;
+        }
+    }
+
+    resetAutoSlide() {
+        this.stopAutoSlideTimer();
+        this.updateAutoSlide();
+    }
+
+    // Emit a carousel:* CustomEvent on the container
+    dispatch(name, detail = {}) {
+        this.container.dispatchEvent(new CustomEvent(`carousel:${name}`, {
+            bubbles: true,
+            detail: { ...detail, carousel: this }
+        }));
+    }
+
+    // Public API: remove listeners, timers and generated markup
+    destroy() {
+        if (this.isDestroyed) return;
+
+        this.stopAutoSlideTimer();
+        this.isDestroyed = true;
+        this.listeners.abort();
+
+        this.slides.forEach(slide => this.clearSlideStyles(slide));
+        this.container.classList.remove(
+            `carousel-container--${this.options.transition}`,
+            'carousel-container--dragging'
+        );
+        if (this.dotsContainer) {
+            this.dotsContainer.innerHTML = '';
+        }
+        this.toggleButton?.remove();
+        this.liveRegion?.remove();
+
+        this.dispatch('destroy');
+    }
+
+    announceSlideChange(index) {
+        if (!this.liveRegion) return;
+
+        this.liveRegion.textContent = i18n.t('carousel.position', 'Bild {number} von {total}', {
+            number: index + 1,
+            total: this.slides.length
+        });
+    }
+}
+
+// Modal dialogs, opened by any element with data-dialog-target="<dialog id>".
+// Dialogs stack: only the topmost one receives Escape and focus, everything behind it is inert.
+class DialogManager {
+    constructor() {
+        // Open dialogs, topmost last: { dialog, returnFocusTo }
+        this.stack = [];
+        // Elements made inert by the manager, restored when the stack changes
+        this.inertElements = new Set();
+        this.preparedDialogs = new WeakSet();
+
+        this.supportsInert = 'inert' in HTMLElement.prototype;
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-dialog-target]');
+            if (trigger) {
+                const dialog = document.getElementById(trigger.dataset.dialogTarget);
+                if (!dialog) return;
+
+                e.preventDefault();
+                this.open(dialog, { returnFocusTo: trigger });
+                return;
+            }
+
+            const closeButton = e.target.closest('[data-dialog-close]');
+            if (closeButton) {
+                const dialog = closeButton.closest('.modal');
+                if (dialog) this.close(dialog);
+            }
+        });
+
+        // Declared dialogs close on a click on the backdrop; the lightbox handles its own
+        document.querySelectorAll('[data-dialog]').forEach(dialog => {
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog) this.close(dialog);
+            });
+        });
+
+        // Dialogs with data-dialog-hash="name" can be deep linked as #name
+        this.openFromHash();
+        window.addEventListener('hashchange', () => this.openFromHash());
+    }
+
+    getDialogForHash(hash) {
+        const name = decodeURIComponent((hash || '').replace(/^#/, ''));
+        if (!name) return null;
+
+        return Array.from(document.querySelectorAll('[data-dialog-hash]'))
+            .find(dialog => dialog.dataset.dialogHash === name) || null;
+    }
+
+    openFromHash() {
+        const dialog = this.getDialogForHash(window.location.hash);
+        if (!dialog) return;
+
+        // Focus returns to the footer link (or whatever opens the dialog) instead of the page top
+        const trigger = document.querySelector(`[data-dialog-target="${dialog.id}"]`);
+        this.open(dialog, { returnFocusTo: trigger });
+    }
+
+    // Native <dialog> elements use showModal (top layer, backdrop); anything else is emulated
+    static isNative(dialog) {
+        return typeof dialog.showModal === 'function';
+    }
+
+    isOpen(dialog) {
+        return this.stack.some(entry => entry.dialog === dialog);
+    }
+
+    get topDialog() {
+        return this.stack[this.stack.length - 1]?.dialog || null;
+    }
+
+    // Native Escape handling fires "cancel"; route it through close() so listeners run
+    prepare(dialog) {
+        if (this.preparedDialogs.has(dialog)) return;
+        this.preparedDialogs.add(dialog);
+
+        if (DialogManager.isNative(dialog)) {
+            dialog.addEventListener('cancel', (e) => {
+                e.preventDefault();
+                this.close(dialog);
+            });
+        } else {
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+        }
+
+        if (!dialog.hasAttribute('tabindex')) {
+            dialog.tabIndex = -1;
+        }
+    }
+
+    open(dialog, { returnFocusTo = document.activeElement } = {}) {
+        try {
+            if (this.isOpen(dialog)) return;
+
+            this.prepare(dialog);
+            this.stack.push({ dialog, returnFocusTo });
+
+            if (DialogManager.isNative(dialog)) {
+                dialog.showModal();
+            } else {
+                dialog.setAttribute('open', '');
+            }
+            dialog.classList.add('modal--active');
+
+            if (this.stack.length === 1) {
+                document.body.style.overflow = 'hidden';
+                document.addEventListener('keydown', this.handleKeyDown);
+            }
+            this.updateInert();
+
+            const firstFocusable = DialogManager.getFocusableElements(dialog)[0];
+            (firstFocusable || dialog).focus();
+
+            dialog.dispatchEvent(new CustomEvent('dialog:open'));
+        } catch (error) {
+            console.error('Error opening dialog:', error);
+        }
+    }
+
+    close(dialog) {
+        try {
+            const index = this.stack.findIndex(entry => entry.dialog === dialog);
+            if (index === -1) return;
+
+            const [{ returnFocusTo }] = this.stack.splice(index, 1);
+            const wasTopmost = index === this.stack.length;
+
+            dialog.classList.remove('modal--active');
+            if (DialogManager.isNative(dialog)) {
+                dialog.close();
+            } else {
+                dialog.removeAttribute('open');
+            }
+
+            if (this.stack.length === 0) {
+                document.body.style.overflow = '';
+                document.removeEventListener('keydown', this.handleKeyDown);
+            }
+            this.updateInert();
+
+            // A closed deep-linked dialog should not open again on reload
+            if (this.getDialogForHash(window.location.hash) === dialog) {
+                history.replaceState(history.state, '', window.location.pathname + window.location.search);
+            }
+
+            if (wasTopmost && returnFocusTo?.isConnected) {
+                returnFocusTo.focus();
+            }
+
+            dialog.dispatchEvent(new CustomEvent('dialog:close'));
+        } catch (error) {
+            console.error('Error closing dialog:', error);
+        }
+    }
+
+    // Everything outside the topmost dialog is inert; aria-hidden stands in where inert is unsupported
+    updateInert() {
+        this.inertElements.forEach(element => {
+            element.removeAttribute('inert');
+            if (!this.supportsInert) element.removeAttribute('aria-hidden');
+        });
+        this.inertElements.clear();
+
+        const topDialog = this.topDialog;
+        if (!topDialog) return;
+
+        Array.from(document.body.children).forEach(element => {
+            if (element.contains(topDialog) || element.hasAttribute('inert')) return;
+
+            element.setAttribute('inert', '');
+            if (!this.supportsInert) element.setAttribute('aria-hidden', 'true');
+            this.inertElements.add(element);
+        });
+    }
+
+    static getFocusableElements(container) {
+        return Array.from(container.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(element => !element.disabled && !element.hidden && !element.closest('[hidden]'));
+    }
+
+    // Escape closes the topmost dialog; Tab wraps around inside it
+    handleKeyDown(event) {
+        const topDialog = this.topDialog;
+        if (!topDialog) return;
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close(topDialog);
+            return;
+        }
+
+        if (event.key !== 'Tab') return;
+
+        const focusableElements = DialogManager.getFocusableElements(topDialog);
+        if (focusableElements.length === 0) {
+            event.preventDefault();
+            topDialog.focus();
+            return;
+        }
+
+        const firstFocusable = focusableElements[0];
+        const lastFocusable = focusableElements[focusableElements.length - 1];
+
+        if (event.shiftKey && (document.activeElement === firstFocusable || document.activeElement === topDialog)) {
+            event.preventDefault();
+            lastFocusable.focus();
+        } else if (!event.shiftKey && document.activeElement === lastFocusable) {
+            event.preventDefault();
+            firstFocusable.focus();
+        } else if (!topDialog.contains(document.activeElement)) {
+            event.preventDefault();
+            firstFocusable.focus();
+        }
+    }
+}
+
+// Fullscreen image viewer for carousel slides
+class Lightbox {
+    constructor(app) {
+        this.app = app;
+        this.carousel = null;
+        this.images = [];
+        this.currentIndex = 0;
+        this.scale = 1;
+        this.translateX = 0;
+        this.translateY = 0;
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = 0;
+        this.suppressClick = false;
+
+        this.createElement();
+    }
+
+    // Build the dialog markup once and reuse it for every carousel
+    createElement() {
+        this.element = document.createElement('dialog');
+        this.element.className = 'modal lightbox';
+        this.element.id = 'lightbox';
+        this.element.setAttribute('aria-label', 'Bildansicht');
+        this.element.dataset.i18nAriaLabel = 'lightbox.label';
+        this.element.innerHTML = `
+            <button class="modal__close lightbox__close" aria-label="Bildansicht schließen" title="Schließen"
+                data-i18n-aria-label="lightbox.close" data-i18n-title="common.close">&times;</button>
+            <figure class="lightbox__figure">
+                <div class="lightbox__stage">
+                    <img class="lightbox__image" alt="" draggable="false">
+                </div>
+                <figcaption class="lightbox__caption"></figcaption>
+            </figure>
+            <p class="lightbox__counter" aria-live="polite"></p>
+            <button class="carousel-nav carousel-nav--prev lightbox__nav" aria-label="Vorheriges Bild"
+                title="Vorheriges Bild" data-i18n-aria-label="carousel.previous" data-i18n-title="carousel.previous">‹</button>
+            <button class="carousel-nav carousel-nav--next lightbox__nav" aria-label="Nächstes Bild"
+                title="Nächstes Bild" data-i18n-aria-label="carousel.next" data-i18n-title="carousel.next">›</button>
+        `;
+        i18n.apply(this.element);
+
+        this.stage = this.element.querySelector('.lightbox__stage');
+        this.image = this.element.querySelector('.lightbox__image');
+        this.caption = this.element.querySelector('.lightbox__caption');
+        this.counter = this.element.querySelector('.lightbox__counter');
+        this.prevButton = this.element.querySelector('.carousel-nav--prev');
+        this.nextButton = this.element.querySelector('.carousel-nav--next');
+
+        this.element.querySelector('.lightbox__close').addEventListener('click', () => this.close());
+        this.prevButton.addEventListener('click', () => this.prev());
+        this.nextButton.addEventListener('click', () => this.next());
+        this.element.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Close when the backdrop (not the image) is clicked
+        this.element.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            if (e.target === this.element || e.target === this.stage) {
+                this.close();
+            }
+        });
+
+        this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.stage.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.stage.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.stage.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+
+        // Escape and the close button both end up here via the dialog manager
+        this.element.addEventListener('dialog:close', () => {
+            this.resetZoom();
+
+            if (this.carousel) {
+                this.carousel.resumeAutoSlide('lightbox');
+                this.carousel = null;
+            }
+        });
+
+        // The caption is the translated alt text of the slide
+        document.addEventListener('i18n:change', () => {
+            if (this.app.dialogs.isOpen(this.element)) this.updateText();
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    // Open the viewer on a slide of the given carousel
+    open(carousel, index, trigger) {
+        try {
+            this.carousel = carousel;
+            this.images = carousel.slides
+                .map(slide => slide.querySelector('.carousel-slide__image'))
+                .filter(Boolean);
+
+            if (this.images.length === 0) return;
+
+            const hasSiblings = this.images.length > 1;
+            this.prevButton.hidden = !hasSiblings;
+            this.nextButton.hidden = !hasSiblings;
+
+            carousel.suspendAutoSlide('lightbox');
+            this.show(index);
+            this.app.dialogs.open(this.element, { returnFocusTo: trigger });
+        } catch (error) {
+            console.error('Error opening lightbox:', error);
+        }
+    }
+
+    close() {
+        this.app.dialogs.close(this.element);
+    }
+
+    show(index) {
+        const total = this.images.length;
+        this.currentIndex = (index + total) % total;
+
+        const source = this.images[this.currentIndex];
+
+        this.resetZoom();
+        // Prefer the full-size original over the responsive variant shown in the carousel
+        this.image.src = source.dataset.src || source.currentSrc || source.src;
+        this.updateText();
+    }
+
+    updateText() {
+        const altText = this.images[this.currentIndex].getAttribute('alt') || '';
+
+        this.image.alt = altText;
+        this.caption.textContent = altText;
+        this.caption.hidden = !altText;
+        this.counter.textContent = i18n.t('carousel.position', 'Bild {number} von {total}', {
+            number: this.currentIndex + 1,
+            total: this.images.length
+        });
+    }
+
+    next() {
+        if (this.images.length > 1) this.show(this.currentIndex + 1);
+    }
+
+    prev() {
+        if (this.images.length > 1) this.show(this.currentIndex - 1);
+    }
+
+    handleKeyDown(event) {
+        switch (event.key) {
+            case 'ArrowLeft':
+                event.preventDefault();
+                this.prev();
+                break;
+            case 'ArrowRight':
+                event.preventDefault();
+                this.next();
+                break;
+            case '+':
+            case '=':
+                event.preventDefault();
+                this.zoomTo(this.scale * 1.5);
+                break;
+            case '-':
+                event.preventDefault();
+                this.zoomTo(this.scale / 1.5);
+                break;
+            case '0':
+                event.preventDefault();
+                this.resetZoom();
+                break;
+        }
+    }
+
+    // Zoom handling
+    zoomTo(scale, originX = 0, originY = 0) {
+        const nextScale = Math.min(Math.max(scale, 1), 4);
+        const ratio = nextScale / this.scale;
+
+        // Keep the point under the pointer (relative to the stage centre) in place
+        this.translateX = originX - ratio * (originX - this.translateX);
+        this.translateY = originY - ratio * (originY - this.translateY);
+        this.scale = nextScale;
+
+        if (this.scale === 1) {
+            this.translateX = 0;
+            this.translateY = 0;
+        }
+
+        this.applyTransform();
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.translateX = 0;
+        this.translateY = 0;
+        this.applyTransform();
+    }
+
+    applyTransform(swipeOffset = 0) {
+        // Do not let a zoomed image be panned out of view
+        const maxX = (this.scale - 1) * this.stage.clientWidth / 2;
+        const maxY = (this.scale - 1) * this.stage.clientHeight / 2;
+        this.translateX = Math.min(Math.max(this.translateX, -maxX), maxX);
+        this.translateY = Math.min(Math.max(this.translateY, -maxY), maxY);
+
+        this.image.style.transform =
+            `translate(${this.translateX + swipeOffset}px, ${this.translateY}px) scale(${this.scale})`;
+        this.element.classList.toggle('lightbox--zoomed', this.scale > 1);
+    }
+
+    // Pointer position relative to the centre of the stage
+    getStagePoint(x, y) {
+        const rect = this.stage.getBoundingClientRect();
+        return {
+            x: x - rect.left - rect.width / 2,
+            y: y - rect.top - rect.height / 2
+        };
+    }
+
+    handlePointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+        this.stage.setPointerCapture(event.pointerId);
+        this.suppressClick = false;
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.element.classList.add('lightbox--gesturing');
+
+        if (this.pointers.size === 2) {
+            const [first, second] = Array.from(this.pointers.values());
+            this.gesture = {
+                type: 'pinch',
+                startDistance: Math.hypot(second.x - first.x, second.y - first.y),
+                startScale: this.scale
+            };
+        } else if (this.pointers.size === 1) {
+            this.gesture = {
+                type: this.scale > 1 ? 'pan' : 'swipe',
+                startX: event.clientX,
+                startY: event.clientY,
+                lastX: event.clientX,
+                lastY: event.clientY,
+                startTime: event.timeStamp,
+                moved: false
+            };
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.pointers.has(event.pointerId) || !this.gesture) return;
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const gesture = this.gesture;
+
+        if (gesture.type === 'pinch' && this.pointers.size === 2) {
+            const [first, second] = Array.from(this.pointers.values());
+            const distance = Math.hypot(second.x - first.x, second.y - first.y);
+            const midpoint = this.getStagePoint((first.x + second.x) / 2, (first.y + second.y) / 2);
+            this.zoomTo(gesture.startScale * distance / gesture.startDistance, midpoint.x, midpoint.y);
+            return;
+        }
+
+        const deltaX = event.clientX - gesture.startX;
+        const deltaY = event.clientY - gesture.startY;
+        if (Math.hypot(deltaX, deltaY) > CAROUSEL_GESTURES.axisLockDistance) {
+            gesture.moved = true;
+        }
+
+        if (gesture.type === 'pan') {
+            this.translateX += event.clientX - gesture.lastX;
+            this.translateY += event.clientY - gesture.lastY;
+            this.applyTransform();
+        } else if (gesture.type === 'swipe' && gesture.moved) {
+            this.applyTransform(deltaX);
+        }
+
+        gesture.lastX = event.clientX;
+        gesture.lastY = event.clientY;
+    }
+
+    handlePointerUp(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+
+        this.pointers.delete(event.pointerId);
+        const gesture = this.gesture;
+
+        // Lifting one finger of a pinch continues as a pan with the remaining one
+        if (this.pointers.size > 0) {
+            const [remaining] = Array.from(this.pointers.values());
+            this.gesture = {
+                type: 'pan',
+                startX: remaining.x,
+                startY: remaining.y,
+                lastX: remaining.x,
+                lastY: remaining.y,
+                startTime: event.timeStamp,
+                moved: true
+            };
+            return;
+        }
+
+        this.gesture = null;
+        this.element.classList.remove('lightbox--gesturing');
+        if (!gesture || gesture.type === 'pinch') return;
+
+        if (!gesture.moved) {
+            this.handleTap(event);
+            return;
+        }
+
+        // The click that ends a swipe or pan must not close the viewer
+        this.suppressClick = true;
+
+        if (gesture.type === 'swipe' && event.type === 'pointerup') {
+            const deltaX = event.clientX - gesture.startX;
+            const velocity = Math.abs(deltaX) / Math.max(event.timeStamp - gesture.startTime, 1);
+            const committed = Math.abs(deltaX) > this.stage.clientWidth * CAROUSEL_GESTURES.swipeThreshold ||
+                velocity > CAROUSEL_GESTURES.flickVelocity;
+
+            if (committed && this.images.length > 1) {
+                if (deltaX < 0) {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+                return;
+            }
+        }
+
+        this.applyTransform();
+    }
+
+    // Double tap / double click toggles zoom at the tapped point
+    handleTap(event) {
+        const now = event.timeStamp;
+        if (now - this.lastTap < 300) {
+            this.lastTap = 0;
+            if (this.scale > 1) {
+                this.resetZoom();
+            } else {
+                const point = this.getStagePoint(event.clientX, event.clientY);
+                this.zoomTo(2.5, point.x, point.y);
+            }
+        } else {
+            this.lastTap = now;
+        }
+    }
+
+    handleWheel(event) {
+        event.preventDefault();
+        const point = this.getStagePoint(event.clientX, event.clientY);
+        this.zoomTo(this.scale * Math.exp(-event.deltaY * 0.002), point.x, point.y);
+    }
+}
+
+// Default `sizes` for carousel images, matching the .carousel-container max-width
+const IMAGE_DEFAULT_SIZES = '(max-width: 768px) 100vw, 600px';
+
+// Source types in order of preference; the JPEG set also serves as the <img> fallback
+const IMAGE_FORMATS = [
+    { key: 'avif', type: 'image/avif' },
+    { key: 'webp', type: 'image/webp' }
+];
+
+// Lazy, responsive image loading for carousel slides
+class ImageLoader {
+    constructor(app, manifestUrl = 'images/manifest.json') {
+        this.app = app;
+        this.manifestUrl = manifestUrl;
+        this.manifest = {};
+        this.timings = [];
+        this.pending = new Map();
+        this.visibleCarousels = new WeakSet();
+
+        this.init();
+    }
+
+    init() {
+        this.ready = this.loadManifest().then(() => this.showPlaceholders());
+
+        this.app.carousels.forEach(carousel => {
+
+            // Fetch the neighbours of each newly shown slide
+            carousel.container.addEventListener('carousel:change', () => {
+                if (this.visibleCarousels.has(carousel)) {
+                    this.loadAround(carousel);
+                }
+            });
+        });
+
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => this.handleIntersection(entries), {
+                rootMargin: '200px 0px'
+            });
+            this.app.carousels.forEach(carousel => this.observer.observe(carousel.container));
+        } else {
+            this.app.carousels.forEach(carousel => {
+                this.visibleCarousels.add(carousel);
+                this.loadAround(carousel);
+            });
+        }
+    }
+
+    // The manifest is produced by the image build script; without it the original JPEGs are used
+    async loadManifest() {
+        try {
+            const response = await fetch(this.manifestUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const manifest = await response.json();
+            this.manifest = manifest.images || {};
+        } catch (error) {
+            console.info('No image manifest available, using original images:', error.message);
+        }
+    }
+
+    handleIntersection(entries) {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+
+            const carousel = this.app.getCarousel(entry.target);
+            if (!carousel) return;
+
+            this.visibleCarousels.add(carousel);
+            this.observer.unobserve(entry.target);
+            this.loadAround(carousel);
+        });
+    }
+
+    // Load the current slide and its direct neighbours only
+    loadAround(carousel) {
+        const indexes = [
+            carousel.currentSlideIndex,
+            carousel.getRelativeIndex(1),
+            carousel.getRelativeIndex(-1)
+        ];
+
+        indexes
+            .filter(index => index !== null)
+            .forEach(index => {
+                const image = carousel.slides[index]?.querySelector('.carousel-slide__image[data-src]');
+                if (image) this.load(image);
+            });
+    }
+
+    // Show blurred low-quality placeholders for every slide that has not loaded yet
+    showPlaceholders() {
+        this.app.carousels.forEach(carousel => {
+            carousel.slides.forEach(slide => {
+                const image = slide.querySelector('.carousel-slide__image[data-src]');
+                if (!image || this.pending.has(image)) return;
+
+                const entry = this.manifest[image.dataset.src];
+                slide.classList.add('carousel-slide--loading');
+                if (entry?.placeholder) {
+                    slide.style.setProperty('--image-placeholder', `url("${entry.placeholder}")`);
+                }
+            });
+        });
+    }
+
+    // Start loading an image once; resolves with its timing record
+    load(image) {
+        if (this.pending.has(image)) return this.pending.get(image);
+
+        const promise = this.ready.then(() => new Promise((resolve) => {
+            const slide = image.closest('.carousel-slide');
+            const src = image.dataset.src;
+            const entry = this.manifest[src];
+            const startTime = performance.now();
+
+            const finish = (status) => {
+                const timing = {
+                    src: image.currentSrc || src,
+                    status,
+                    duration: Math.round(performance.now() - startTime),
+                    transferSize: this.getTransferSize(image.currentSrc || src)
+                };
+
+                this.timings.push(timing);
+
+                // Offline, photos are not precached: keep the blurred placeholder instead of a broken image
+                if (status === 'loaded' || !entry?.placeholder) {
+                    slide?.classList.remove('carousel-slide--loading');
+                    slide?.style.removeProperty('--image-placeholder');
+                }
+                image.dispatchEvent(new CustomEvent('image:load', { bubbles: true, detail: timing }));
+
+                if (status === 'loaded') {
+                    console.info(`Image loaded in ${timing.duration}ms: ${timing.src}`);
+                } else {
+                    slide?.classList.add('carousel-slide--error');
+                    console.warn(`Image failed to load after ${timing.duration}ms: ${timing.src}`);
+                }
+                resolve(timing);
+            };
+
+            image.addEventListener('load', () => finish('loaded'), { once: true });
+            image.addEventListener('error', () => finish('failed'), { once: true });
+
+            if (entry) {
+                this.applySources(image, entry);
+            }
+            image.src = src;
+        }));
+
+        this.pending.set(image, promise);
+        return promise;
+    }
+
+    // Wrap the image in <picture> with AVIF/WebP sources and a JPEG srcset fallback
+    applySources(image, entry) {
+        const sizes = image.dataset.sizes ||
+            image.closest('[data-sizes]')?.dataset.sizes ||
+            IMAGE_DEFAULT_SIZES;
+
+        const picture = document.createElement('picture');
+        image.parentNode.insertBefore(picture, image);
+
+        IMAGE_FORMATS.forEach(({ key, type }) => {
+            const variants = entry.sources?.[key];
+            if (!variants?.length) return;
+
+            const source = document.createElement('source');
+            source.type = type;
+            source.srcset = this.toSrcset(variants);
+            source.sizes = sizes;
+            picture.appendChild(source);
+        });
+
+        picture.appendChild(image);
+
+        if (entry.sources?.jpeg?.length) {
+            image.srcset = this.toSrcset(entry.sources.jpeg);
+            image.sizes = sizes;
+        }
+        if (entry.width && entry.height) {
+            image.width = entry.width;
+            image.height = entry.height;
+        }
+    }
+
+    toSrcset(variants) {
+        return variants.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+    }
+
+    getTransferSize(src) {
+        try {
+            const [entry] = performance.getEntriesByName(new URL(src, document.baseURI).href);
+            return entry ? entry.transferSize : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Summary of all image loads so far, e.g. for console.table(app.imageLoader.getTimings())
+    getTimings() {
+        return this.timings.slice();
+    }
+}
+
+// Weekday keys used in data/opening-hours.json, indexed like Date#getDay()
+const OPENING_HOURS_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Days to search ahead for the next opening and upcoming closures
+const OPENING_HOURS_LOOKAHEAD_DAYS = 60;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// The practice's wall clock, used for announcements and calendar exports
+const PRACTICE_TIME_ZONE = 'Europe/Berlin';
+
+// Calendar date and wall-clock time of an instant in a time zone: { year, month, day, hour, minute }
+function getZonedDateTime(date, timeZone = PRACTICE_TIME_ZONE) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+
+    return parts;
+}
+
+// Calendar date of an instant in a time zone as YYYY-MM-DD
+function getZonedDateKey(date, timeZone = PRACTICE_TIME_ZONE) {
+    const { year, month, day } = getZonedDateTime(date, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Weekly opening and phone hours with a live open/closed status in the practice's time zone.
+// Days are handled as UTC timestamps of the local calendar date, so DST never shifts them.
+class OpeningHours {
+    constructor(container, url = 'data/opening-hours.json') {
+        this.container = container;
+        this.url = url;
+        this.data = null;
+        this.timer = null;
+        this.holidays = new Map();
+
+        this.init();
+    }
+
+    init() {
+        this.ready = this.load().then(() => {
+            if (!this.data) return;
+
+            // Example hours are never shown as facts; the "please call us" text stays instead
+            if (!this.data.confirmed) {
+                console.info('Opening hours not confirmed by the practice, not shown');
+                return;
+            }
+
+            this.render();
+            this.update();
+
+            // Re-evaluate every minute and when the visitor returns to the tab
+            this.timer = setInterval(() => this.update(), 60 * 1000);
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) this.update();
+            });
+
+            document.addEventListener('i18n:change', () => {
+                this.render();
+                this.update();
+            });
+        });
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            this.data = await response.json();
+        } catch (error) {
+            console.error('Error loading opening hours:', error);
+        }
+    }
+
+    // Calendar day and minutes since midnight on the practice's wall clock
+    getLocalTime(date = new Date()) {
+        const { year, month, day, hour, minute } = getZonedDateTime(date, this.data.timeZone);
+
+        return {
+            day: Date.UTC(year, month - 1, day),
+            minutes: hour * 60 + minute
+        };
+    }
+
+    static toDateKey(day) {
+        return new Date(day).toISOString().slice(0, 10);
+    }
+
+    static toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static formatTime(minutes) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    }
+
+    static formatDate(day, options) {
+        return new Intl.DateTimeFormat(i18n.intlLocale, { timeZone: 'UTC', ...options }).format(new Date(day));
+    }
+
+    // Localized weekday name; 7 January 2024 was a Sunday
+    static getDayName(weekday) {
+        return OpeningHours.formatDate(Date.UTC(2024, 0, 7 + OPENING_HOURS_WEEKDAYS.indexOf(weekday)), { weekday: 'long' });
+    }
+
+    // Gregorian Easter Sunday (anonymous algorithm)
+    static getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return Date.UTC(year, month - 1, day);
+    }
+
+    // Public holidays of a year as date key → holiday, from fixed dates and Easter offsets
+    getHolidays(year) {
+        if (!this.holidays.has(year)) {
+            const easter = OpeningHours.getEasterSunday(year);
+            const holidays = new Map();
+
+            (this.data.holidays || []).forEach(holiday => {
+                const key = holiday.date
+                    ? `${year}-${holiday.date}`
+                    : OpeningHours.toDateKey(easter + holiday.easterOffset * DAY_IN_MS);
+                holidays.set(key, holiday);
+            });
+
+            this.holidays.set(year, holidays);
+        }
+
+        return this.holidays.get(year);
+    }
+
+    static getHolidayName(holiday) {
+        return i18n.t(`openingHours.holidays.${holiday.id}`, holiday.name);
+    }
+
+    // Vacation reasons may be given per language
+    static getClosureReason(closure) {
+        return i18n.localize(closure.reason) || i18n.t('openingHours.closed', 'Geschlossen');
+    }
+
+    // Schedule label and status texts from the dictionary, falling back to the data file
+    static getScheduleText(schedule, name) {
+        const fallback = name === 'label' ? schedule.label : schedule.status[name];
+        return i18n.t(`openingHours.schedules.${schedule.id}.${name}`, fallback);
+    }
+
+    // Holiday name or vacation reason if the practice is closed all day, otherwise null
+    getClosure(day) {
+        const key = OpeningHours.toDateKey(day);
+        const holiday = this.getHolidays(new Date(day).getUTCFullYear()).get(key);
+        if (holiday) return OpeningHours.getHolidayName(holiday);
+
+        const closure = (this.data.closures || []).find(({ from, to }) => key >= from && key <= to);
+        return closure ? OpeningHours.getClosureReason(closure) : null;
+    }
+
+    getIntervals(schedule, day) {
+        if (this.getClosure(day)) return [];
+
+        const weekday = OPENING_HOURS_WEEKDAYS[new Date(day).getUTCDay()];
+        return (schedule.weekly[weekday] || []).map(([open, close]) => ({
+            open: OpeningHours.toMinutes(open),
+            close: OpeningHours.toMinutes(close)
+        }));
+    }
+
+    // Whether a schedule is open at the given moment, and when it closes or next opens
+    getStatus(schedule, date = new Date()) {
+        const { day, minutes } = this.getLocalTime(date);
+
+        const current = this.getIntervals(schedule, day)
+            .find(interval => minutes >= interval.open && minutes < interval.close);
+        if (current) {
+            return { isOpen: true, closesAt: current.close };
+        }
+
+        const status = { isOpen: false, closure: this.getClosure(day), nextOpening: null };
+
+        for (let offset = 0; offset <= OPENING_HOURS_LOOKAHEAD_DAYS; offset++) {
+            const candidate = day + offset * DAY_IN_MS;
+            const next = this.getIntervals(schedule, candidate)
+                .find(interval => offset > 0 || interval.open > minutes);
+
+            if (next) {
+                status.nextOpening = { day: candidate, offset, minutes: next.open };
+                break;
+            }
+        }
+
+        return status;
+    }
+
+    describeStatus(schedule, status) {
+        if (status.isOpen) {
+            return i18n.t('openingHours.openUntil', '{status} · bis {time} Uhr', {
+                status: OpeningHours.getScheduleText(schedule, 'open'),
+                time: OpeningHours.formatTime(status.closesAt)
+            });
+        }
+
+        let text = OpeningHours.getScheduleText(schedule, 'closed');
+        if (status.closure) {
+            text += ` (${status.closure})`;
+        }
+
+        const next = status.nextOpening;
+        if (next) {
+            let when;
+            if (next.offset === 0) {
+                when = i18n.t('openingHours.today', 'heute');
+            } else if (next.offset === 1) {
+                when = i18n.t('openingHours.tomorrow', 'morgen');
+            } else if (next.offset < 7) {
+                when = OpeningHours.formatDate(next.day, { weekday: 'long' });
+            } else {
+                when = OpeningHours.formatDate(next.day, { weekday: 'long', day: 'numeric', month: 'numeric' });
+            }
+            text += i18n.t('openingHours.opensAgain', ' · wieder ab {when}, {time} Uhr', {
+                when,
+                time: OpeningHours.formatTime(next.minutes)
+            });
+        }
+
+        return text;
+    }
+
+    formatIntervals(intervals) {
+        if (intervals.length === 0) return i18n.t('openingHours.closedDay', 'geschlossen');
+
+        return intervals
+            .map(([open, close]) => i18n.t('openingHours.interval', '{open}–{close} Uhr', { open, close }))
+            .join('<br>');
+    }
+
+    // Holidays and vacations within the lookahead window, vacations as date ranges
+    getUpcomingClosures(day) {
+        const end = day + OPENING_HOURS_LOOKAHEAD_DAYS * DAY_IN_MS;
+        const upcoming = [];
+
+        for (let candidate = day; candidate <= end; candidate += DAY_IN_MS) {
+            const holiday = this.getHolidays(new Date(candidate).getUTCFullYear()).get(OpeningHours.toDateKey(candidate));
+            if (holiday) upcoming.push({ from: candidate, to: candidate, name: OpeningHours.getHolidayName(holiday) });
+        }
+
+        (this.data.closures || []).forEach(closure => {
+            const start = Date.parse(closure.from);
+            const finish = Date.parse(closure.to);
+            if (finish >= day && start <= end) {
+                upcoming.push({ from: start, to: finish, name: OpeningHours.getClosureReason(closure) });
+            }
+        });
+
+        return upcoming.sort((a, b) => a.from - b.from);
+    }
+
+    render() {
+        const schedules = this.data.schedules;
+        const weekdays = [...OPENING_HOURS_WEEKDAYS.slice(1), OPENING_HOURS_WEEKDAYS[0]];
+
+        const rows = weekdays.map(weekday => `
+            <tr data-weekday="${weekday}">
+                <th scope="row">${OpeningHours.getDayName(weekday)}</th>
+                ${schedules.map(schedule => `<td>${this.formatIntervals(schedule.weekly[weekday] || [])}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        this.container.querySelector('.opening-hours__content').innerHTML = `
+            <ul class="opening-hours__status" aria-live="polite">
+                ${schedules.map(schedule => `
+                    <li class="opening-hours__badge" data-schedule="${schedule.id}">
+                        <span class="opening-hours__badge-label">${OpeningHours.getScheduleText(schedule, 'label')}:</span>
+                        <span class="opening-hours__badge-text"></span>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="opening-hours__table-wrapper">
+                <table class="opening-hours__table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${i18n.t('openingHours.day', 'Tag')}</th>
+                            ${schedules.map(schedule => `<th scope="col">${OpeningHours.getScheduleText(schedule, 'label')}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="opening-hours__closures" hidden>
+                <h4 class="opening-hours__closures-title">${i18n.t('openingHours.closures', 'Feiertage und Urlaub')}</h4>
+                <ul class="opening-hours__closures-list"></ul>
+            </div>
+        `;
+    }
+
+    // Refresh the live badges, today's row and the upcoming closures
+    update(date = new Date()) {
+        const { day } = this.getLocalTime(date);
+
+        this.data.schedules.forEach(schedule => {
+            const status = this.getStatus(schedule, date);
+            const badge = this.container.querySelector(`[data-schedule="${schedule.id}"]`);
+            const text = this.describeStatus(schedule, status);
+            const textElement = badge.querySelector('.opening-hours__badge-text');
+
+            badge.classList.toggle('opening-hours__badge--open', status.isOpen);
+            // Only touch the live region when the status actually changes
+            if (textElement.textContent !== text) {
+                textElement.textContent = text;
+            }
+        });
+
+        const today = OPENING_HOURS_WEEKDAYS[new Date(day).getUTCDay()];
+        this.container.querySelectorAll('tbody tr').forEach(row => {
+            const isToday = row.dataset.weekday === today;
+            row.classList.toggle('opening-hours__row--today', isToday);
+            if (isToday) {
+                row.setAttribute('aria-current', 'date');
+            } else {
+                row.removeAttribute('aria-current');
+            }
+        });
+
+        const closures = this.getUpcomingClosures(day);
+        const closuresSection = this.container.querySelector('.opening-hours__closures');
+        const format = closureDay => OpeningHours.formatDate(closureDay, { weekday: 'short', day: '2-digit', month: '2-digit' });
+
+        closuresSection.hidden = closures.length === 0;
+        closuresSection.querySelector('.opening-hours__closures-list').replaceChildren(...closures.map(closure => {
+            const item = document.createElement('li');
+            const date = document.createElement('span');
+
+            date.className = 'opening-hours__closure-date';
+            date.textContent = closure.to > closure.from
+                ? `${format(closure.from)} – ${format(closure.to)}`
+                : format(closure.from);
+
+            // Holiday names and vacation reasons come from the data file, so they stay plain text
+            item.append(date, ` ${closure.name}`);
+            return item;
+        }));
+    }
+}
+
+const ANNOUNCEMENTS_STORAGE_KEY = 'podologie-announcements-dismissed';
+
+const ANNOUNCEMENT_SEVERITIES = ['info', 'warning', 'critical'];
+
+// Dismissible notices (vacations, changed phone numbers, ...) from data/announcements.json
+class Announcements {
+    constructor(url = 'data/announcements.json', timeZone = PRACTICE_TIME_ZONE) {
+        this.url = url;
+        this.timeZone = timeZone;
+        this.announcements = [];
+
+        this.init();
+    }
+
+    init() {
+        this.ready = this.load().then(() => this.render());
+
+        document.addEventListener('i18n:change', () => {
+            document.querySelectorAll('.announcement').forEach(element => element.remove());
+            this.render();
+        });
+    }
+
+    // Always revalidate; offline the service worker answers with the last known copy
+    async load() {
+        try {
+            const response = await fetch(this.url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            this.announcements = Array.isArray(data.announcements) ? data.announcements : [];
+        } catch (error) {
+            console.info('Announcements not available:', error.message);
+        }
+    }
+
+    static getDismissed() {
+        try {
+            return JSON.parse(localStorage.getItem(ANNOUNCEMENTS_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static setDismissed(ids) {
+        try {
+            localStorage.setItem(ANNOUNCEMENTS_STORAGE_KEY, JSON.stringify(ids));
+        } catch (error) {
+            console.warn('Could not store dismissed announcements:', error);
+        }
+    }
+
+    // Today's date in the practice's time zone as YYYY-MM-DD
+    getToday(date = new Date()) {
+        return getZonedDateKey(date, this.timeZone);
+    }
+
+    // Start and end dates are inclusive; either may be omitted
+    getActive(date = new Date()) {
+        const today = this.getToday(date);
+        const dismissed = Announcements.getDismissed();
+
+        return this.announcements.filter(announcement => {
+            if (!announcement.id || !announcement.message) return false;
+            if (announcement.start && today < announcement.start) return false;
+            if (announcement.end && today > announcement.end) return false;
+
+            return announcement.dismissible === false || !dismissed.includes(announcement.id);
+        });
+    }
+
+    render() {
+        // Forget dismissals of announcements that were removed from the feed
+        const ids = this.announcements.map(announcement => announcement.id);
+        const dismissed = Announcements.getDismissed();
+        const stillListed = dismissed.filter(id => ids.includes(id));
+        if (stillListed.length !== dismissed.length) {
+            Announcements.setDismissed(stillListed);
+        }
+
+        this.getActive().forEach(announcement => {
+            const element = this.createElement(announcement);
+            const tab = announcement.tab ? document.getElementById(announcement.tab) : null;
+
+            if (tab?.classList.contains('tab-content')) {
+                // Below the tab heading
+                const title = tab.querySelector('.tab-content__title');
+                if (title) {
+                    title.after(element);
+                } else {
+                    tab.prepend(element);
+                }
+            } else {
+                // Above all tabs
+                document.getElementById('main')?.prepend(element);
+            }
+        });
+    }
+
+    // Title, message and link label may be given per language
+    createElement(announcement) {
+        const severity = ANNOUNCEMENT_SEVERITIES.includes(announcement.severity) ? announcement.severity : 'info';
+        const title = i18n.localize(announcement.title);
+
+        const element = document.createElement('div');
+        element.className = `announcement announcement--${severity}`;
+        element.setAttribute('role', 'region');
+        element.setAttribute('aria-label', title || i18n.t('announcements.label', 'Hinweis'));
+        element.dataset.announcementId = announcement.id;
+
+        if (title) {
+            const titleElement = document.createElement('p');
+            titleElement.className = 'announcement__title';
+            titleElement.textContent = title;
+            element.appendChild(titleElement);
+        }
+
+        const message = document.createElement('p');
+        message.className = 'announcement__message';
+        message.textContent = i18n.localize(announcement.message);
+        element.appendChild(message);
+
+        if (announcement.link?.href) {
+            const link = document.createElement('a');
+            link.className = 'announcement__link';
+            link.href = announcement.link.href;
+            link.textContent = i18n.localize(announcement.link.label) || i18n.t('announcements.more', 'Mehr erfahren');
+            element.appendChild(link);
+        }
+
+        if (announcement.dismissible !== false) {
+            const dismissButton = document.createElement('button');
+            dismissButton.type = 'button';
+            dismissButton.className = 'announcement__dismiss';
+            dismissButton.setAttribute('aria-label', i18n.t('common.dismiss', 'Hinweis schließen'));
+            dismissButton.title = i18n.t('common.close', 'Schließen');
+            dismissButton.innerHTML = '&times;';
+            dismissButton.addEventListener('click', () => this.dismiss(announcement.id));
+            element.appendChild(dismissButton);
+        }
+
+        return element;
+    }
+
+    dismiss(id) {
+        const dismissed = Announcements.getDismissed();
+        if (!dismissed.includes(id)) {
+            Announcements.setDismissed([...dismissed, id]);
+        }
+
+        document.querySelectorAll('.announcement').forEach(element => {
+            if (element.dataset.announcementId === id) element.remove();
+        });
+    }
+}
+
+// Leistungen accordion rendered by tools/build-practice.js: category filter and photo links
+class ServicesCatalogue {
+    constructor(container, app) {
+        this.container = container;
+        this.app = app;
+        this.filter = container.querySelector('[data-service-filter]');
+        this.status = container.querySelector('[data-service-filter-status]');
+        this.items = Array.from(container.querySelectorAll('.service-item'));
+        this.category = '';
+
+        this.init();
+    }
+
+    init() {
+        if (this.filter) {
+            this.filter.hidden = false;
+            this.filter.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-service-category]');
+                if (button) this.setCategory(button.dataset.serviceCategory);
+            });
+        }
+
+        this.container.querySelectorAll('[data-service-photo]').forEach(button => {
+            const slide = this.findSlide(button.dataset.servicePhoto);
+            if (!slide) return;
+
+            button.hidden = false;
+            button.addEventListener('click', () => this.showPhoto(slide));
+        });
+
+        // Deep links to a Leistung hidden by the filter show all services again
+        this.container.addEventListener('route:target', (e) => {
+            if (e.target.hidden) this.setCategory('');
+        });
+
+        // Keep the result count in the current language
+        document.addEventListener('i18n:change', () => {
+            if (this.category) this.announce();
+        });
+    }
+
+    // Empty category shows all services
+    setCategory(category) {
+        this.category = category;
+
+        this.filter.querySelectorAll('[data-service-category]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.serviceCategory === category));
+        });
+
+        this.items.forEach(item => {
+            const categories = (item.dataset.serviceCategories || '').split(' ');
+            item.hidden = Boolean(category) && !categories.includes(category);
+        });
+
+        this.announce();
+    }
+
+    announce() {
+        if (!this.status) return;
+
+        const count = this.items.filter(item => !item.hidden).length;
+        this.status.textContent = i18n.t('services.filter.count', 'Angezeigte Leistungen: {count}', { count });
+    }
+
+    // Carousel slide in this tab whose image shows the given file
+    findSlide(src) {
+        for (const carousel of this.app.carousels.values()) {
+            if (!this.container.contains(carousel.container)) continue;
+
+            const index = carousel.slides.findIndex(slide => {
+                const image = slide.querySelector('.carousel-slide__image');
+                return image && (image.dataset.src || image.getAttribute('src')) === src;
+            });
+            if (index !== -1) return { carousel, index };
+        }
+
+        return null;
+    }
+
+    showPhoto({ carousel, index }) {
+        carousel.goTo(index);
+        carousel.container.scrollIntoView({ block: 'center', behavior: this.app.isReducedMotion ? 'auto' : 'smooth' });
+
+        // The slide image opens the lightbox with Enter
+        const image = carousel.slides[index].querySelector('.carousel-slide__image');
+        image?.focus({ preventScroll: true });
+    }
+}
+
+// Lowercase without umlauts, accents and punctuation, for place names and the FAQ search:
+// "Großschwabhausen" → "grossschwabhausen", "Fußpflege" and "Fusspflege" → "fusspflege"
+function normalizeSearchText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/ä/g, 'ae')
+        .replace(/ö/g, 'oe')
+        .replace(/ü/g, 'ue')
+        .replace(/ß/g, 'ss')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Mean earth radius for great-circle distances
+const EARTH_RADIUS_KM = 6371;
+
+// Results listed for a place name that matches several places
+const SERVICE_AREA_MAX_RESULTS = 5;
+
+// "Kommen wir zu Ihnen?" Hausbesuch check against data/service-area.json.
+// Distances are measured as the crow flies from the practice's geo coordinates.
+class ServiceArea {
+    constructor(form, { url = 'data/service-area.json', practiceUrl = 'data/practice.json' } = {}) {
+        this.form = form;
+        this.url = url;
+        this.practiceUrl = practiceUrl;
+        this.data = null;
+        this.origin = null;
+        this.query = '';
+        this.input = form.elements.query;
+        this.result = form.querySelector('.service-area__result');
+
+        this.init();
+    }
+
+    init() {
+        this.ready = this.load().then(() => {
+            if (!this.data) return;
+
+            this.renderSuggestions();
+            this.form.hidden = false;
+
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.check(this.input.value);
+            });
+
+            document.addEventListener('i18n:change', () => {
+                if (this.query) this.check(this.query);
+            });
+        });
+    }
+
+    async load() {
+        try {
+            const [data, practice] = await Promise.all([this.url, this.practiceUrl].map(async (url) => {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            }));
+
+            this.data = data;
+            this.origin = practice.geo;
+        } catch (error) {
+            console.error('Error loading service area:', error);
+        }
+    }
+
+    // Place names for the browser's autocomplete
+    renderSuggestions() {
+        const list = document.getElementById(this.input.getAttribute('list'));
+        if (!list) return;
+
+        list.replaceChildren(...this.data.places.map(place => {
+            const option = document.createElement('option');
+            option.value = place.name;
+            option.label = place.postalCode;
+            return option;
+        }));
+    }
+
+    // Haversine distance in kilometres
+    static getDistance(from, to) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const deltaLatitude = toRadians(to.latitude - from.latitude);
+        const deltaLongitude = toRadians(to.longitude - from.longitude);
+
+        const a = Math.sin(deltaLatitude / 2) ** 2 +
+            Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    // Zones are ordered by distance; the last one without a limit catches everything else
+    getZone(distance) {
+        return this.data.zones.find(zone => zone.maxDistanceKm === undefined || distance <= zone.maxDistanceKm);
+    }
+
+    // Places for a postcode, or places whose name (or a word of it) starts with the query
+    findPlaces(query) {
+        const normalized = normalizeSearchText(query);
+        if (!normalized) return [];
+
+        const postalCode = normalized.match(/\b\d{5}\b/)?.[0];
+        if (postalCode) {
+            return this.data.places.filter(place => place.postalCode === postalCode);
+        }
+
+        const exact = this.data.places.filter(place => normalizeSearchText(place.name) === normalized);
+        if (exact.length > 0) return exact;
+
+        return this.data.places.filter(place => {
+            const name = normalizeSearchText(place.name);
+            return name.startsWith(normalized) || name.split(' ').some(word => word.startsWith(normalized));
+        });
+    }
+
+    check(query) {
+        this.query = query.trim();
+
+        if (!this.query) {
+            this.renderMessage(i18n.t('serviceArea.empty', 'Bitte geben Sie Ihre Postleitzahl oder Ihren Ort ein.'), 'error');
+            this.input.setAttribute('aria-invalid', 'true');
+            this.input.focus();
+            return;
+        }
+        this.input.removeAttribute('aria-invalid');
+
+        const results = this.findPlaces(this.query)
+            .map(place => {
+                const distance = ServiceArea.getDistance(this.origin, place);
+                return { place, distance, zone: this.getZone(distance) };
+            })
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, SERVICE_AREA_MAX_RESULTS);
+
+        if (results.length === 0) {
+            this.renderMessage(i18n.t(
+                'serviceArea.unknown',
+                'Diesen Ort finden wir leider nicht in unserer Liste. Rufen Sie uns gern an, wir prüfen das für Sie.'
+            ), 'unknown');
+            return;
+        }
+
+        this.renderResults(results);
+    }
+
+    renderMessage(text, modifier) {
+        const message = document.createElement('p');
+        message.className = `service-area__message service-area__message--${modifier}`;
+        message.textContent = text;
+
+        this.result.replaceChildren(message);
+    }
+
+    // One line per place, followed by the zone's advice if all places share a zone
+    renderResults(results) {
+        const list = document.createElement('ul');
+        list.className = 'service-area__places';
+
+        results.forEach(({ place, distance, zone }) => {
+            const item = document.createElement('li');
+            item.className = `service-area__place service-area__place--${zone.id}`;
+            item.textContent = i18n.t('serviceArea.result', '{place} ({postalCode}): etwa {distance} km – {zone}', {
+                place: place.name,
+                postalCode: place.postalCode,
+                distance: Math.max(1, Math.round(distance)),
+                zone: i18n.t(`serviceArea.zones.${zone.id}.label`, zone.label)
+            });
+            list.appendChild(item);
+        });
+
+        const zones = new Set(results.map(result => result.zone));
+        const message = document.createElement('p');
+
+        if (zones.size === 1) {
+            const [zone] = zones;
+            message.className = `service-area__message service-area__message--${zone.id}`;
+            message.textContent = i18n.t(`serviceArea.zones.${zone.id}.message`, zone.message);
+        } else {
+            message.className = 'service-area__message service-area__message--unknown';
+            message.textContent = i18n.t(
+                'serviceArea.multiple',
+                'Unter dieser Eingabe finden wir mehrere Orte. Maßgeblich ist der Eintrag für Ihren Ort.'
+            );
+        }
+
+        this.result.replaceChildren(list, message);
+    }
+}
+
+// Search terms this long also match inside compound words ("pflege" finds "Fußpflege") and tolerate one typo
+const FAQ_FUZZY_MIN_LENGTH = 5;
+
+// Häufige Fragen rendered by tools/build-practice.js from data/faq.json: instant search with highlighted matches.
+// A question is shown when every search term matches a word of its question, answer or keywords.
+class FaqSearch {
+    constructor(container) {
+        this.container = container;
+        this.search = container.querySelector('[data-faq-search]');
+        this.input = this.search.querySelector('input');
+        this.status = this.search.querySelector('[role="status"]');
+        this.items = Array.from(container.querySelectorAll('.faq-item'));
+        this.openedItems = new Set();
+        this.query = '';
+
+        this.init();
+    }
+
+    init() {
+        this.search.hidden = false;
+
+        this.input.addEventListener('input', () => this.filter(this.input.value));
+
+        // Deep links to an answer hidden by the search show all questions again
+        this.container.addEventListener('route:target', (e) => {
+            if (e.target.hidden) this.reset();
+        });
+
+        // Translations replace the highlighted text, so search the new language again
+        document.addEventListener('i18n:change', () => {
+            if (this.query) this.filter(this.query);
+        });
+    }
+
+    reset() {
+        this.input.value = '';
+        this.filter('');
+    }
+
+    // Matching answers are expanded; those opened by the search close again when it is cleared
+    filter(query) {
+        this.query = query;
+        const terms = normalizeSearchText(query).split(' ').filter(Boolean);
+
+        let count = 0;
+        this.items.forEach(item => {
+            FaqSearch.clearHighlights(item);
+
+            const words = FaqSearch.getWords(item);
+            const matches = terms.every(term => words.some(word => FaqSearch.matchesWord(word, term)));
+            item.hidden = !matches;
+
+            if (matches && terms.length > 0) {
+                count++;
+                if (!item.open) {
+                    item.open = true;
+                    this.openedItems.add(item);
+                }
+                FaqSearch.highlight(item, terms);
+            } else if (this.openedItems.has(item)) {
+                item.open = false;
+                this.openedItems.delete(item);
+            }
+        });
+
+        this.announce(terms.length > 0 ? count : null);
+    }
+
+    announce(count) {
+        if (count === null) {
+            this.status.textContent = '';
+        } else if (count === 0) {
+            this.status.textContent = i18n.t('faq.search.empty', 'Keine passende Frage gefunden. Rufen Sie uns gern an.');
+        } else {
+            this.status.textContent = i18n.t('faq.search.count', 'Gefundene Fragen: {count}', { count });
+        }
+    }
+
+    // Words of the question, answer and keywords in the current language
+    static getWords(item) {
+        const text = [
+            item.querySelector('.faq-item__question')?.textContent,
+            item.querySelector('.faq-item__answer')?.textContent,
+            item.dataset.faqKeywords
+        ].join(' ');
+
+        return normalizeSearchText(text).split(' ');
+    }
+
+    static matchesWord(word, term) {
+        if (word.startsWith(term)) return true;
+        if (term.length < FAQ_FUZZY_MIN_LENGTH) return false;
+        if (word.includes(term)) return true;
+
+        // One wrong, missing or extra letter at the start of the word
+        return [-1, 0, 1].some(offset => FaqSearch.getEditDistance(term, word.slice(0, term.length + offset)) <= 1);
+    }
+
+    // Levenshtein distance
+    static getEditDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    // Wrap every word that matches a search term in <mark>
+    static highlight(item, terms) {
+        item.querySelectorAll('.faq-item__question, .faq-item__answer').forEach(root => {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+
+            nodes.forEach(node => {
+                const text = node.nodeValue;
+                const fragment = document.createDocumentFragment();
+                let last = 0;
+
+                for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+                    const word = normalizeSearchText(match[0]);
+                    if (!terms.some(term => FaqSearch.matchesWord(word, term))) continue;
+
+                    const mark = document.createElement('mark');
+                    mark.className = 'faq-item__mark';
+                    mark.textContent = match[0];
+                    fragment.append(text.slice(last, match.index), mark);
+                    last = match.index + match[0].length;
+                }
+
+                if (last === 0) return;
+
+                fragment.append(text.slice(last));
+                node.replaceWith(fragment);
+            });
+        });
+    }
+
+    static clearHighlights(item) {
+        item.querySelectorAll('.faq-item__mark').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(mark.textContent);
+            parent.normalize();
+        });
+    }
+}
+
+// Reminder options of the appointment form, as iCalendar durations before the start
+const APPOINTMENT_REMINDERS = {
+    '1h': '-PT1H',
+    '1d': '-P1D',
+    '2d': '-P2D'
+};
+
+// "Kontakt speichern" (vCard) and "In Kalender eintragen" (iCalendar) downloads built from data/practice.json
+class ContactExport {
+    constructor(url = 'data/practice.json', timeZone = PRACTICE_TIME_ZONE) {
+        this.url = url;
+        this.timeZone = timeZone;
+        this.practice = null;
+
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('[data-export="vcard"]').forEach(button => {
+            button.addEventListener('click', () => this.downloadVCard());
+        });
+
+        this.form = document.querySelector('[data-appointment-form]');
+        if (this.form) {
+            this.form.elements.date.min = this.getToday();
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleAppointmentSubmit();
+            });
+        }
+    }
+
+    async getPractice() {
+        if (!this.practice) {
+            const response = await fetch(this.url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.practice = await response.json();
+        }
+
+        return this.practice;
+    }
+
+    // Today's date in the practice's time zone as YYYY-MM-DD
+    getToday(date = new Date()) {
+        return getZonedDateKey(date, this.timeZone);
+    }
+
+    // "03643 2123313" → "+49 3643 2123313"
+    static toInternational(number) {
+        return number.startsWith('0') ? `+49 ${number.slice(1)}` : number;
+    }
+
+    // Escape text values for vCard and iCalendar (RFC 6350 / RFC 5545)
+    static escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/\n/g, '\\n')
+            .replace(/([,;])/g, '\\$1');
+    }
+
+    // Fold content lines to at most 75 octets, continuation lines start with a space
+    static foldLines(lines) {
+        const encoder = new TextEncoder();
+
+        return lines.map(line => {
+            const parts = [];
+            let current = '';
+
+            for (const char of line) {
+                const limit = parts.length === 0 ? 75 : 74;
+                if (encoder.encode(current + char).length > limit) {
+                    parts.push(current);
+                    current = '';
+                }
+                current += char;
+            }
+            parts.push(current);
+
+            return parts.join('\r\n ');
+        }).join('\r\n') + '\r\n';
+    }
+
+    static download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // vCard 3.0, the version all common address books import; X-ABLabel names the mobile numbers on iOS
+    buildVCard(practice) {
+        const escape = ContactExport.escapeText;
+        const { address } = practice;
+
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            'N:;;;;',
+            `FN:${escape(practice.name)}`,
+            `ORG:${escape(practice.legalName)}`,
+            'X-ABShowAs:COMPANY',
+            `TEL;TYPE=WORK,VOICE:${ContactExport.toInternational(practice.phone.number)}`
+        ];
+
+        practice.owners.forEach((owner, index) => {
+            lines.push(`item${index + 1}.TEL;TYPE=CELL:${ContactExport.toInternational(owner.mobile)}`);
+            lines.push(`item${index + 1}.X-ABLabel:${escape(i18n.t('contactExport.mobile', '{name} (mobil)', { name: owner.shortName }))}`);
+        });
+
+        lines.push(
+            `ADR;TYPE=WORK:;;${escape(address.street)};${escape(address.city)};${escape(address.region)};` +
+                `${escape(address.postalCode)};Deutschland`,
+            `EMAIL;TYPE=INTERNET,WORK:${practice.email}`,
+            `URL:${practice.url}`,
+            `GEO:${practice.geo.latitude};${practice.geo.longitude}`,
+            `NOTE:${escape(i18n.t('contactExport.note', 'Termine nur nach telefonischer Vereinbarung.'))}`,
+            'END:VCARD'
+        );
+
+        return ContactExport.foldLines(lines);
+    }
+
+    async downloadVCard() {
+        try {
+            const practice = await this.getPractice();
+            ContactExport.download(this.buildVCard(practice), 'podologie-weimar.vcf', 'text/vcard;charset=utf-8');
+        } catch (error) {
+            console.error('Error creating vCard:', error);
+        }
+    }
+
+    // UTC instant of a wall-clock time in the practice's time zone (handles DST)
+    toUtc(date, time) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+        const getOffset = (instant) => {
+            const local = getZonedDateTime(new Date(instant), this.timeZone);
+            return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - instant;
+        };
+
+        // Two passes settle on the right offset around DST changes
+        let instant = wallClock - getOffset(wallClock);
+        instant = wallClock - getOffset(instant);
+
+        return new Date(instant);
+    }
+
+    static formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    buildCalendarEvent(practice, { start, durationMinutes, reminder }) {
+        const escape = ContactExport.escapeText;
+        const { address } = practice;
+        const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+        const location = `${practice.name}, ${address.street}, ${address.postalCode} ${address.city}`;
+        const host = new URL(practice.url).hostname;
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${escape(practice.name)}//Termin//DE`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}@${host}`,
+            `DTSTAMP:${ContactExport.formatUtc(new Date())}`,
+            `DTSTART:${ContactExport.formatUtc(start)}`,
+            `DTEND:${ContactExport.formatUtc(end)}`,
+            `SUMMARY:${escape(i18n.t('contactExport.summary', 'Termin {name}', { name: practice.name }))}`,
+            `LOCATION:${escape(location)}`,
+            `GEO:${practice.geo.latitude};${practice.geo.longitude}`,
+            `DESCRIPTION:${escape(i18n.t(
+                'contactExport.description',
+                '{name}\nTelefon: {phone}\nBitte sagen Sie rechtzeitig ab, falls Sie den Termin nicht wahrnehmen können.',
+                { name: practice.legalName, phone: practice.phone.number }
+            ))}`,
+            `URL:${practice.url}`
+        ];
+
+        if (reminder && APPOINTMENT_REMINDERS[reminder]) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escape(i18n.t('contactExport.reminder', 'Erinnerung: Termin {name}', { name: practice.name }))}`,
+                `TRIGGER:${APPOINTMENT_REMINDERS[reminder]}`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT', 'END:VCALENDAR');
+
+        return ContactExport.foldLines(lines);
+    }
+
+    // Returns an error message, or null if the entered appointment is usable
+    validateAppointment({ date, time }) {
+        if (!date) return i18n.t('appointment.errors.date', 'Bitte geben Sie das Datum Ihres Termins ein.');
+        if (!time) return i18n.t('appointment.errors.time', 'Bitte geben Sie die Uhrzeit Ihres Termins ein.');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^\d{2}:\d{2}/.test(time)) {
+            return i18n.t('appointment.errors.incomplete', 'Bitte geben Sie Datum und Uhrzeit vollständig ein.');
+        }
+        if (this.toUtc(date, time) < new Date()) {
+            return i18n.t('appointment.errors.past', 'Der Termin liegt in der Vergangenheit.');
+        }
+
+        return null;
+    }
+
+    async handleAppointmentSubmit() {
+        const values = {
+            date: this.form.elements.date.value,
+            time: this.form.elements.time.value,
+            durationMinutes: Number(this.form.elements.duration.value) || 60,
+            reminder: this.form.elements.reminder.value
+        };
+
+        const errorElement = this.form.querySelector('.appointment-form__error');
+        const statusElement = this.form.querySelector('.appointment-form__status');
+        const error = this.validateAppointment(values);
+
+        errorElement.textContent = error || '';
+        errorElement.hidden = !error;
+        statusElement.textContent = '';
+
+        if (error) {
+            (values.date ? this.form.elements.time : this.form.elements.date).focus();
+            return;
+        }
+
+        try {
+            const practice = await this.getPractice();
+            const start = this.toUtc(values.date, values.time);
+            const filename = `termin-podologie-weimar-${values.date}.ics`;
+
+            ContactExport.download(
+                this.buildCalendarEvent(practice, { ...values, start }),
+                filename,
+                'text/calendar;charset=utf-8'
+            );
+            statusElement.textContent = i18n.t(
+                'appointment.downloaded',
+                'Die Datei „{filename}“ wurde heruntergeladen. Öffnen Sie sie, um den Termin in Ihren Kalender zu übernehmen.',
+                { filename }
+            );
+        } catch (error) {
+            console.error('Error creating calendar file:', error);
+            errorElement.textContent = i18n.t(
+                'appointment.errors.download',
+                'Die Kalenderdatei konnte nicht erstellt werden. Bitte versuchen Sie es erneut.'
+            );
+            errorElement.hidden = false;
+        }
+    }
+}
+
+// "New version available" prompt for service worker updates
+class UpdateBanner {
+    constructor(registration) {
+        this.registration = registration;
+        this.waitingWorker = null;
+        this.reloadRequested = false;
+        this.isReloading = false;
+        this.element = null;
+
+        this.init();
+    }
+
+    init() {
+        // Without a controller this is the first install, not an update
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.show(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.show(worker);
+                }
+            });
+        });
+
+        // Reload once the new worker has taken over, but only when the visitor asked for it here;
+        // another tab activating it must not reload this page, e.g. in the middle of a form
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.isReloading) return;
+            if (!this.reloadRequested) return;
+
+            this.isReloading = true;
+            window.location.reload();
+        });
+
+        // Look for a new version whenever the visitor returns to the tab
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.registration.update().catch(() => {});
+            }
+        });
+    }
+
+    show(worker) {
+        this.waitingWorker = worker;
+        if (this.element) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'update-banner';
+        this.element.setAttribute('role', 'status');
+        this.element.innerHTML = `
+            <p class="update-banner__text" data-i18n="update.text">Neue Version verfügbar</p>
+            <button type="button" class="update-banner__button" data-i18n="update.reload">Neu laden</button>
+            <button type="button" class="update-banner__dismiss" aria-label="Hinweis schließen"
+                title="Schließen" data-i18n-aria-label="common.dismiss" data-i18n-title="common.close">&times;</button>
+        `;
+        i18n.apply(this.element);
+
+        this.element.querySelector('.update-banner__button').addEventListener('click', (e) => {
+            e.currentTarget.disabled = true;
+            this.reloadRequested = true;
+            this.activate();
+        });
+        this.element.querySelector('.update-banner__dismiss').addEventListener('click', () => this.hide());
+
+        document.body.appendChild(this.element);
+    }
+
+    hide() {
+        this.element?.remove();
+        this.element = null;
+    }
+
+    // Tell the waiting worker to activate; controllerchange then reloads the page
+    activate() {
+        if (!this.waitingWorker) return;
+
+        // Already activated from another tab, so no controllerchange will follow here
+        if (this.waitingWorker.state === 'activated') {
+            this.isReloading = true;
+            window.location.reload();
+            return;
+        }
+
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
+
+const INSTALL_PROMPT_STORAGE_KEY = 'podologie-install-prompt';
+
+// Days before a dismissed install prompt is offered again
+const INSTALL_PROMPT_SNOOZE_DAYS = 30;
+
+// Delay before showing the iOS hint, which has no browser install event
+const INSTALL_PROMPT_IOS_DELAY = 15000;
+
+// "Zum Startbildschirm hinzufügen" prompt for installing the site as an app
+class InstallPrompt {
+    constructor() {
+        this.deferredPrompt = null;
+        this.element = null;
+
+        this.init();
+    }
+
+    init() {
+        if (this.isStandalone() || !this.shouldOffer()) return;
+
+        // Chromium browsers: keep the event and show our own prompt instead of the mini-infobar
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.deferredPrompt = e;
+            this.show();
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            this.hide();
+            InstallPrompt.setState({ installed: true });
+            console.info('App installed');
+        });
+
+        // iOS Safari can only install via the share menu, so explain how
+        if (this.isIOS()) {
+            setTimeout(() => {
+                if (!this.isStandalone()) this.show();
+            }, INSTALL_PROMPT_IOS_DELAY);
+        }
+    }
+
+    static getState() {
+        try {
+            return JSON.parse(localStorage.getItem(INSTALL_PROMPT_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static setState(state) {
+        try {
+            localStorage.setItem(INSTALL_PROMPT_STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.warn('Could not store install prompt state:', error);
+        }
+    }
+
+    // Not after installing, and not again until the snooze period has passed
+    shouldOffer() {
+        const { installed, dismissedAt } = InstallPrompt.getState();
+        if (installed) return false;
+        if (!dismissedAt) return true;
+
+        return Date.now() - dismissedAt > INSTALL_PROMPT_SNOOZE_DAYS * 24 * 60 * 60 * 1000;
+    }
+
+    isStandalone() {
+        return window.matchMedia('(display-mode: standalone)').matches || window.navigator.standalone === true;
+    }
+
+    isIOS() {
+        return /iphone|ipad|ipod/i.test(navigator.userAgent) && !('onbeforeinstallprompt' in window);
+    }
+
+    show() {
+        if (this.element) return;
+
+        const canPrompt = Boolean(this.deferredPrompt);
+
+        this.element = document.createElement('div');
+        this.element.className = 'install-banner';
+        this.element.setAttribute('role', 'region');
+        this.element.setAttribute('aria-label', 'App installieren');
+        this.element.dataset.i18nAriaLabel = 'install.label';
+        this.element.innerHTML = canPrompt ? `
+            <p class="install-banner__text" data-i18n="install.text">Podologie Weimar als App nutzen</p>
+            <button type="button" class="install-banner__button" data-i18n="install.button">
+                Zum Startbildschirm hinzufügen
+            </button>
+        ` : `
+            <p class="install-banner__text" data-i18n="install.ios">
+                Zum Startbildschirm hinzufügen: Tippen Sie auf „Teilen“ und dann auf „Zum Home-Bildschirm“.
+            </p>
+        `;
+        this.element.insertAdjacentHTML('beforeend', `
+            <button type="button" class="install-banner__dismiss" aria-label="Hinweis schließen"
+                title="Schließen" data-i18n-aria-label="common.dismiss" data-i18n-title="common.close">&times;</button>
+        `);
+        i18n.apply(this.element);
+
+        this.element.querySelector('.install-banner__button')?.addEventListener('click', () => this.install());
+        this.element.querySelector('.install-banner__dismiss').addEventListener('click', () => this.dismiss());
+
+        document.body.appendChild(this.element);
+    }
+
+    hide() {
+        this.element?.remove();
+        this.element = null;
+    }
+
+    dismiss() {
+        this.hide();
+        InstallPrompt.setState({ dismissedAt: Date.now() });
+    }
+
+    // Show the browser's install dialog; the event can only be used once
+    async install() {
+        if (!this.deferredPrompt) return;
+
+        const prompt = this.deferredPrompt;
+        this.deferredPrompt = null;
+        this.hide();
+
+        try {
+            prompt.prompt();
+            const { outcome } = await prompt.userChoice;
+            console.info(`Install prompt ${outcome}`);
+
+            if (outcome === 'dismissed') {
+                InstallPrompt.setState({ dismissedAt: Date.now() });
+            }
+        } catch (error) {
+            console.error('Error showing install prompt:', error);
+        }
+    }
+}
+
+const CONSENT_STORAGE_KEY = 'podologie-consent';
+
+// Bump when categories or integrations change so visitors are asked again
+const CONSENT_VERSION = 1;
+
+// Optional categories; elements with data-consent="<id>" are only activated after opt-in
+const CONSENT_CATEGORIES = [
+    {
+        id: 'statistics',
+        label: 'Statistik',
+        description: 'Anonyme Besucherstatistik mit Umami ohne Cookies. Sie hilft uns zu erkennen, welche Inhalte gefragt sind.'
+    },
+    {
+        id: 'externalMedia',
+        label: 'Externe Medien',
+        description: 'Eingebettete Inhalte von Drittanbietern wie die Google-Maps-Karte im Bereich Kontakt. Dabei werden Daten an Google übertragen.'
+    }
+];
+
+// Consent banner and settings; gates third-party scripts and iframes
+class ConsentManager {
+    constructor() {
+        this.consent = ConsentManager.load();
+        this.element = null;
+        this.returnFocusTo = null;
+        // Nodes inserted from <template data-consent> elements, removed again on withdrawal
+        this.insertedContent = new Map();
+        // Categories loaded for this page view only via data-consent-load; never stored
+        this.loadedOnce = new Set();
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        // Placeholders load a category once ("Karte laden") or grant it permanently ("Karte immer laden")
+        document.addEventListener('click', (e) => {
+            const loadButton = e.target.closest('[data-consent-load]');
+            if (loadButton) this.loadOnce(loadButton.dataset.consentLoad);
+
+            const grantButton = e.target.closest('[data-consent-grant]');
+            if (grantButton) this.grant(grantButton.dataset.consentGrant);
+        });
+
+        this.apply();
+
+        if (!this.consent) {
+            this.open();
+        }
+    }
+
+    // Stored consent, or null if missing or given for an older version
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+            return stored?.version === CONSENT_VERSION ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    has(category) {
+        return Boolean(this.consent?.categories[category]);
+    }
+
+    // Stored consent or a one-time load on this page view
+    isAllowed(category) {
+        return this.has(category) || this.loadedOnce.has(category);
+    }
+
+    save(categories) {
+        // An explicit choice also ends a one-time load of a category that is now declined
+        CONSENT_CATEGORIES.forEach(category => {
+            if (!categories[category.id]) this.loadedOnce.delete(category.id);
+        });
+
+        this.consent = {
+            version: CONSENT_VERSION,
+            timestamp: new Date().toISOString(),
+            categories: Object.fromEntries(
+                CONSENT_CATEGORIES.map(category => [category.id, Boolean(categories[category.id])])
+            )
+        };
+
+        try {
+            localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(this.consent));
+        } catch (error) {
+            console.warn('Could not store consent:', error);
+        }
+
+        this.apply();
+
+        document.dispatchEvent(new CustomEvent('consent:change', {
+            detail: { categories: { ...this.consent.categories } }
+        }));
+    }
+
+    // Show the content of a category without storing consent; the next visit starts with the placeholder again
+    loadOnce(category) {
+        this.loadedOnce.add(category);
+        this.apply();
+    }
+
+    grant(category) {
+        this.save({ ...this.consent?.categories, [category]: true });
+
+        const checkbox = this.element?.querySelector(`[data-consent-category="${category}"]`);
+        if (checkbox) checkbox.checked = true;
+    }
+
+    // Activate or deactivate every gated element according to the current consent
+    apply() {
+        let needsReload = false;
+
+        document.querySelectorAll('[data-consent]').forEach(element => {
+            if (this.isAllowed(element.dataset.consent)) {
+                this.activate(element);
+            } else if (this.deactivate(element)) {
+                needsReload = true;
+            }
+        });
+
+        document.querySelectorAll('[data-consent-placeholder]').forEach(placeholder => {
+            placeholder.hidden = this.isAllowed(placeholder.dataset.consentPlaceholder);
+        });
+
+        // Scripts that already ran cannot be unloaded
+        if (needsReload) {
+            window.location.reload();
+        }
+    }
+
+    activate(element) {
+        if (element.hasAttribute('data-consent-active')) return;
+
+        if (element.tagName === 'SCRIPT') {
+            // A script only runs when inserted as a new element
+            const script = document.createElement('script');
+            Array.from(element.attributes).forEach(({ name, value }) => {
+                if (name !== 'type' && name !== 'data-src') script.setAttribute(name, value);
+            });
+            script.src = element.dataset.src;
+            script.defer = true;
+            script.setAttribute('data-consent-active', '');
+            element.replaceWith(script);
+            return;
+        }
+
+        // Templates keep embeds out of the DOM until now, e.g. the Google Maps iframe
+        if (element.tagName === 'TEMPLATE') {
+            const content = element.content.cloneNode(true);
+            const nodes = Array.from(content.childNodes);
+            this.insertedContent.set(element, nodes);
+            element.after(content);
+            nodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) i18n.apply(node);
+            });
+            element.setAttribute('data-consent-active', '');
+            return;
+        }
+
+        element.src = element.dataset.src;
+        element.hidden = false;
+        element.setAttribute('data-consent-active', '');
+    }
+
+    // Returns true if the element cannot be deactivated without a reload
+    deactivate(element) {
+        if (!element.hasAttribute('data-consent-active')) return false;
+        if (element.tagName === 'SCRIPT') return true;
+
+        if (element.tagName === 'TEMPLATE') {
+            this.insertedContent.get(element)?.forEach(node => node.remove());
+            this.insertedContent.delete(element);
+            element.removeAttribute('data-consent-active');
+            return false;
+        }
+
+        element.removeAttribute('src');
+        element.hidden = true;
+        element.removeAttribute('data-consent-active');
+        return false;
+    }
+
+    // Show the banner; showSettings expands the per-category toggles
+    open({ showSettings = false, returnFocusTo = null } = {}) {
+        if (!this.element) {
+            this.render();
+        }
+
+        this.returnFocusTo = returnFocusTo;
+        this.element.querySelectorAll('[data-consent-category]').forEach(checkbox => {
+            checkbox.checked = this.has(checkbox.dataset.consentCategory);
+        });
+        this.toggleSettings(showSettings);
+
+        if (showSettings) {
+            this.element.querySelector('[data-consent-category]')?.focus();
+        }
+    }
+
+    close() {
+        if (!this.element) return;
+
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.element.remove();
+        this.element = null;
+
+        this.returnFocusTo?.focus();
+        this.returnFocusTo = null;
+    }
+
+    render() {
+        const options = CONSENT_CATEGORIES.map(category => `
+            <label class="consent-option">
+                <input type="checkbox" class="consent-option__input" data-consent-category="${category.id}">
+                <span class="consent-option__label" data-i18n="consent.categories.${category.id}.label">
+                    ${category.label}
+                </span>
+                <span class="consent-option__description" data-i18n="consent.categories.${category.id}.description">
+                    ${category.description}
+                </span>
+            </label>
+        `).join('');
+
+        this.element = document.createElement('div');
+        this.element.className = 'consent-banner';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-labelledby', 'consent-title');
+        this.element.setAttribute('aria-describedby', 'consent-text');
+        this.element.innerHTML = `
+            <div class="consent-banner__content">
+                <h2 class="consent-banner__title" id="consent-title" data-i18n="consent.title">
+                    Datenschutz-Einstellungen
+                </h2>
+                <p class="consent-banner__text" id="consent-text" data-i18n="consent.text">
+                    Mit Ihrer Einwilligung nutzen wir eine anonyme Besucherstatistik und zeigen Inhalte von
+                    Drittanbietern wie Google Maps an. Ihre Auswahl können Sie jederzeit über
+                    „Datenschutz-Einstellungen“ am Seitenende ändern.
+                </p>
+                <div class="consent-banner__settings" id="consent-settings" hidden>
+                    <label class="consent-option">
+                        <input type="checkbox" class="consent-option__input" checked disabled>
+                        <span class="consent-option__label" data-i18n="consent.necessary.label">Notwendig</span>
+                        <span class="consent-option__description" data-i18n="consent.necessary.description">
+                            Speichert Ihre Auswahl und Einstellungen lokal in Ihrem Browser. Immer aktiv.
+                        </span>
+                    </label>
+                    ${options}
+                </div>
+                <div class="consent-banner__actions">
+                    <button type="button" class="consent-banner__button consent-banner__button--secondary"
+                        data-consent-action="settings" aria-controls="consent-settings" aria-expanded="false"
+                        data-i18n="consent.settings">
+                        Einstellungen
+                    </button>
+                    <button type="button" class="consent-banner__button consent-banner__button--secondary"
+                        data-consent-action="save" data-i18n="consent.save" hidden>Auswahl speichern</button>
+                    <button type="button" class="consent-banner__button" data-consent-action="necessary"
+                        data-i18n="consent.rejectAll">
+                        Nur notwendige
+                    </button>
+                    <button type="button" class="consent-banner__button" data-consent-action="all"
+                        data-i18n="consent.acceptAll">
+                        Alle akzeptieren
+                    </button>
+                </div>
+            </div>
+        `;
+        i18n.apply(this.element);
+
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (button) this.handleAction(button.dataset.consentAction);
+        });
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        // At the start of the page so keyboard and screen reader users reach it early
+        document.body.prepend(this.element);
+    }
+
+    toggleSettings(isExpanded) {
+        const settingsButton = this.element.querySelector('[data-consent-action="settings"]');
+
+        this.element.querySelector('.consent-banner__settings').hidden = !isExpanded;
+        settingsButton.setAttribute('aria-expanded', String(isExpanded));
+        settingsButton.hidden = isExpanded;
+        this.element.querySelector('[data-consent-action="save"]').hidden = !isExpanded;
+    }
+
+    handleAction(action) {
+        const categories = {};
+
+        switch (action) {
+            case 'settings':
+                this.toggleSettings(true);
+                this.element.querySelector('[data-consent-category]')?.focus();
+                return;
+            case 'all':
+                CONSENT_CATEGORIES.forEach(category => { categories[category.id] = true; });
+                break;
+            case 'save':
+                this.element.querySelectorAll('[data-consent-category]').forEach(checkbox => {
+                    categories[checkbox.dataset.consentCategory] = checkbox.checked;
+                });
+                break;
+        }
+
+        this.save(categories);
+        this.close();
+    }
+
+    // Escape closes the reopened settings; the first-visit banner needs a choice
+    handleKeyDown(e) {
+        if (e.key === 'Escape' && this.consent) {
+            this.close();
+        }
+    }
+}
+
+const I18N_STORAGE_KEY = 'podologie-language';
+
+// Language of the markup; other locales are loaded from data/i18n/<locale>.json
+const I18N_DEFAULT_LOCALE = 'de';
+
+const I18N_LOCALES = {
+    de: { name: 'Deutsch', intl: 'de-DE' },
+    en: { name: 'English', intl: 'en-GB' },
+    ru: { name: 'Русский', intl: 'ru-RU' }
+};
+
+// Attributes translatable with data-i18n-<attribute>="key"
+const I18N_ATTRIBUTES = ['aria-label', 'title', 'alt', 'placeholder'];
+
+// Translations for static and generated markup. Elements carry their German text and a key:
+// data-i18n (text), data-i18n-html (markup from the dictionary) or data-i18n-<attribute>, with
+// placeholders filled from data-i18n-param-<name>. Computed messages go through t().
+class I18n {
+    constructor(baseUrl = 'data/i18n/') {
+        this.baseUrl = baseUrl;
+        this.locale = I18N_DEFAULT_LOCALE;
+        this.requestedLocale = I18N_DEFAULT_LOCALE;
+        this.messages = {};
+        this.dictionaries = new Map();
+        // German text of translated elements, captured before their first translation
+        this.originals = new WeakMap();
+        this.selector = ['data-i18n', 'data-i18n-html', ...I18N_ATTRIBUTES.map(name => `data-i18n-${name}`)]
+            .map(name => `[${name}]`)
+            .join(', ');
+    }
+
+    // Load the visitor's language and wire up the language switcher in the navigation
+    async init() {
+        this.switcher = document.querySelector('[data-language-switcher]');
+        if (this.switcher) {
+            this.switcher.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-locale]');
+                if (button) this.setLocale(button.dataset.locale);
+            });
+            this.switcher.hidden = false;
+        }
+
+        this.updateSwitcher();
+        await this.setLocale(I18n.detect(), { persist: false });
+    }
+
+    static getStoredLocale() {
+        try {
+            return localStorage.getItem(I18N_STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static setStoredLocale(locale) {
+        try {
+            localStorage.setItem(I18N_STORAGE_KEY, locale);
+        } catch (error) {
+            console.warn('Could not store language:', error);
+        }
+    }
+
+    // The visitor's explicit choice, otherwise the first supported browser language
+    static detect() {
+        const stored = I18n.getStoredLocale();
+        if (I18N_LOCALES[stored]) return stored;
+
+        const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+        for (const language of languages) {
+            const base = String(language || '').toLowerCase().split('-')[0];
+            if (I18N_LOCALES[base]) return base;
+        }
+
+        return I18N_DEFAULT_LOCALE;
+    }
+
+    // BCP 47 tag for Intl date and number formatting
+    get intlLocale() {
+        return I18N_LOCALES[this.locale].intl;
+    }
+
+    async loadDictionary(locale) {
+        if (!this.dictionaries.has(locale)) {
+            const response = await fetch(`${this.baseUrl}${locale}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            this.dictionaries.set(locale, await response.json());
+        }
+
+        return this.dictionaries.get(locale);
+    }
+
+    async setLocale(locale, { persist = true } = {}) {
+        if (!I18N_LOCALES[locale]) locale = I18N_DEFAULT_LOCALE;
+        if (persist) I18n.setStoredLocale(locale);
+
+        this.requestedLocale = locale;
+        if (locale === this.locale) return;
+
+        let messages = {};
+        try {
+            if (locale !== I18N_DEFAULT_LOCALE) {
+                messages = await this.loadDictionary(locale);
+            }
+        } catch (error) {
+            console.error('Error loading translations:', error);
+            return;
+        }
 
-        this.init();
+        // A later click won while the dictionary was loading
+        if (locale !== this.requestedLocale) return;
+
+        this.locale = locale;
+        this.messages = messages;
+        document.documentElement.lang = locale;
+
+        this.apply();
+        this.updateSwitcher();
+
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail: { locale } }));
     }
 
-    init() {
-        this.waitForDOM(() => {
-            this.initCarousel();
-            this.startAutoSlide();
+    updateSwitcher() {
+        this.switcher?.querySelectorAll('[data-locale]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.locale === this.locale));
         });
     }
 
-    waitForDOM(callback) {
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', callback);
-        } else {
-            callback();
-        }
+    // Dictionary entry for a dotted key such as "contact.title", or undefined
+    lookup(key) {
+        const message = key.split('.').reduce((node, part) => node?.[part], this.messages);
+        return typeof message === 'string' ? message : undefined;
     }
 
-    initCarousel() {
-        try {
-            this.slides = Array.from(this.container.querySelectorAll('.carousel-slide'));
-            this.dots = Array.from(this.container.querySelectorAll('.carousel-dot'));
+    static interpolate(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
 
-            if (this.slides.length === 0) {
-                console.info(`No carousel slides found in ${this.containerSelector}`);
-                return;
-            }
+    // Translate a message; the German text doubles as fallback for missing keys
+    t(key, fallback, params = {}) {
+        const message = this.locale === I18N_DEFAULT_LOCALE ? undefined : this.lookup(key);
+        return I18n.interpolate(message ?? fallback, params);
+    }
 
-            // Set up navigation buttons
-            const prevBtn = this.container.querySelector('.carousel-nav--prev');
-            const nextBtn = this.container.querySelector('.carousel-nav--next');
+    // Text from data files that may be given per locale: "Urlaub" or { "de": "Urlaub", "en": "Vacation" }
+    localize(value) {
+        if (value && typeof value === 'object') {
+            return value[this.locale] ?? value[I18N_DEFAULT_LOCALE] ?? '';
+        }
+        return value;
+    }
 
-            if (prevBtn) {
-                prevBtn.addEventListener('click', () => this.prevSlide());
-                prevBtn.setAttribute('aria-label', 'Vorheriges Bild');
-            }
-            if (nextBtn) {
-                nextBtn.addEventListener('click', () => this.nextSlide());
-                nextBtn.setAttribute('aria-label', 'Nächstes Bild');
-            }
+    // data-i18n-param-number="3" → { number: '3' }
+    static getParams(element) {
+        const params = {};
 
-            // Set up dot navigation
-            this.dots.forEach((dot, index) => {
-                dot.addEventListener('click', () => this.goToSlide(index));
-                dot.setAttribute('aria-label', `Zu Bild ${index + 1} wechseln`);
-            });
+        Object.entries(element.dataset).forEach(([name, value]) => {
+            const match = name.match(/^i18nParam(\w)(\w*)$/);
+            if (match) params[match[1].toLowerCase() + match[2]] = value;
+        });
 
-            // Set up mouse interactions for auto-slide
-            this.container.addEventListener('mouseenter', () => this.pauseAutoSlide());
-            this.container.addEventListener('mouseleave', () => this.resumeAutoSlide());
+        return params;
+    }
 
-            // Initialize first slide
-            this.showSlide(0);
+    // Translate an element and everything inside it that carries data-i18n attributes
+    apply(root = document) {
+        const elements = Array.from(root.querySelectorAll(this.selector));
+        if (root.matches?.(this.selector)) elements.unshift(root);
 
-            console.info(`Carousel initialized: ${this.containerSelector} with ${this.slides.length} slides`);
-        } catch (error) {
-            console.error('Error initializing carousel:', error);
+        const missing = new Set();
+        elements.forEach(element => this.translateElement(element, missing));
+
+        if (missing.size > 0) {
+            console.warn(`Missing translations (${this.locale}):`, Array.from(missing).join(', '));
         }
     }
 
-    showSlide(index, announceChange = false) {
-        try {
-            if (index < 0 || index >= this.slides.length) return;
-
-            // Remove active classes
-            this.slides.forEach((slide) => {
-                slide.classList.remove('carousel-slide--active');
-                slide.setAttribute('aria-hidden', 'true');
-            });
+    translateElement(element, missing) {
+        if (!this.originals.has(element)) this.originals.set(element, {});
 
-            this.dots.forEach((dot) => {
-                dot.classList.remove('carousel-dot--active');
-                dot.setAttribute('aria-selected', 'false');
-            });
+        const originals = this.originals.get(element);
+        const params = I18n.getParams(element);
 
-            // Add active classes
-            this.slides[index].classList.add('carousel-slide--active');
-            this.slides[index].setAttribute('aria-hidden', 'false');
+        const translate = (key, name, read, write) => {
+            if (!(name in originals)) originals[name] = read();
 
-            if (this.dots[index]) {
-                this.dots[index].classList.add('carousel-dot--active');
-                this.dots[index].setAttribute('aria-selected', 'true');
+            let value = originals[name];
+            if (this.locale !== I18N_DEFAULT_LOCALE) {
+                const message = this.lookup(key);
+                if (message === undefined) {
+                    missing.add(key);
+                } else {
+                    value = I18n.interpolate(message, params);
+                }
             }
+            write(value);
+        };
 
-            this.currentSlideIndex = index;
+        const { i18n: textKey, i18nHtml: htmlKey } = element.dataset;
 
-            if (announceChange) {
-                this.announceSlideChange(index);
-            }
-        } catch (error) {
-            console.error('Error showing slide:', error);
+        if (textKey) {
+            translate(textKey, 'text', () => element.textContent, value => { element.textContent = value; });
+        }
+        if (htmlKey) {
+            translate(htmlKey, 'html', () => element.innerHTML, value => { element.innerHTML = value; });
         }
-    }
 
-    nextSlide() {
-        const nextIndex = (this.currentSlideIndex + 1) % this.slides.length;
-        this.showSlide(nextIndex, true);
-    }
+        I18N_ATTRIBUTES.forEach(attribute => {
+            const key = element.getAttribute(`data-i18n-${attribute}`);
+            if (!key) return;
 
-    prevSlide() {
-        const prevIndex = (this.currentSlideIndex - 1 + this.slides.length) % this.slides.length;
-        this.showSlide(prevIndex, true);
+            translate(key, attribute, () => element.getAttribute(attribute), value => {
+                if (value === null) {
+                    element.removeAttribute(attribute);
+                } else {
+                    element.setAttribute(attribute, value);
+                }
+            });
+        });
     }
+}
 
-    goToSlide(index) {
-        this.showSlide(index, true);
-        this.resetAutoSlide();
+// Everything the site loads or stores in the browser, rendered into the Datenschutzerklärung.
+// Add an entry together with the code that introduces a new integration or storage key.
+// "selector" limits an entry to pages that contain the integration; "consent" links a
+// CONSENT_CATEGORIES id. The policy is German only, like the Impressum.
+const PRIVACY_INTEGRATIONS = [
+    {
+        id: 'umami',
+        title: 'Besucherstatistik (Umami)',
+        selector: 'script[data-consent="statistics"]',
+        consent: 'statistics',
+        text: [
+            'Mit Ihrer Einwilligung erfassen wir mit Umami eine anonyme Statistik über die Nutzung dieser Website: aufgerufene Seiten, verweisende Website, Browser, Betriebssystem, Gerätetyp und Land. Umami setzt keine Cookies und speichert keine IP-Adressen, ein Rückschluss auf Ihre Person ist nicht möglich.',
+            'Das Skript wird von cloud.umami.is geladen. Dabei wird Ihre IP-Adresse technisch bedingt an den Server von Umami übermittelt.'
+        ],
+        provider: 'Umami Software, Inc.',
+        privacyUrl: 'https://umami.is/privacy',
+        legalBasis: 'Art. 6 Abs. 1 lit. a DSGVO und § 25 Abs. 1 TDDDG (Einwilligung)'
+    },
+    {
+        id: 'google-maps',
+        title: 'Google Maps',
+        selector: 'template[data-consent="externalMedia"]',
+        consent: 'externalMedia',
+        text: [
+            'Im Bereich Kontakt können Sie eine interaktive Karte von Google Maps laden. Sie wird erst eingebunden, wenn Sie auf „Karte laden“ klicken (nur für diesen Seitenaufruf) oder mit „Karte immer laden“ bzw. in den Datenschutz-Einstellungen in „Externe Medien“ einwilligen. Bis dahin zeigen wir ein Kartenbild von unserem eigenen Server.',
+            'Beim Laden der Karte werden unter anderem Ihre IP-Adresse, die aufgerufene Seite und Angaben zu Ihrem Browser an Google übertragen, gegebenenfalls auch in die USA. Google kann dabei Cookies setzen. Die Links „Route planen“ übertragen erst Daten an Google, Apple oder OpenStreetMap, wenn Sie sie anklicken.'
+        ],
+        provider: 'Google Ireland Limited, Gordon House, Barrow Street, Dublin 4, Irland',
+        privacyUrl: 'https://policies.google.com/privacy',
+        legalBasis: 'Art. 6 Abs. 1 lit. a DSGVO und § 25 Abs. 1 TDDDG (Einwilligung)'
+    },
+    {
+        id: 'service-worker',
+        title: 'Offline-Nutzung (Service Worker)',
+        text: [
+            'Damit die Website schneller lädt und auch ohne Internetverbindung funktioniert, speichert ein Service Worker Seiten, Bilder und Daten dieser Website in Ihrem Browser. Dabei werden keine Daten an uns oder Dritte übertragen.',
+            'Sie können diese Daten jederzeit über die Einstellungen Ihres Browsers („Websitedaten löschen“) entfernen.'
+        ],
+        storage: [
+            { type: 'Cache Storage', name: 'podologie-weimar-…', purpose: 'Kopien der Seiten, Bilder und Daten dieser Website' },
+            { type: 'IndexedDB', name: 'podologie-weimar-cache-expiration', purpose: 'Ablaufdatum der zwischengespeicherten Dateien' }
+        ],
+        legalBasis: 'Art. 6 Abs. 1 lit. f DSGVO und § 25 Abs. 2 Nr. 2 TDDDG (technisch erforderlich)'
+    },
+    {
+        id: 'local-storage',
+        title: 'Einstellungen im Browser',
+        text: [
+            'Einige Ihrer Einstellungen speichern wir ausschließlich im lokalen Speicher (localStorage) Ihres Browsers, damit sie beim nächsten Besuch erhalten bleiben. Diese Angaben werden nicht an uns übertragen. Cookies verwenden wir nicht.'
+        ],
+        storage: [
+            { type: 'localStorage', name: CONSENT_STORAGE_KEY, purpose: 'Ihre Datenschutz-Einstellungen und der Zeitpunkt Ihrer Auswahl' },
+            { type: 'localStorage', name: I18N_STORAGE_KEY, purpose: 'Die von Ihnen gewählte Sprache' },
+            { type: 'localStorage', name: CAROUSEL_AUTOPLAY_STORAGE_KEY, purpose: 'Ob Bildergalerien automatisch weiterblättern' },
+            { type: 'localStorage', name: ANNOUNCEMENTS_STORAGE_KEY, purpose: 'Welche Hinweise Sie geschlossen haben' },
+            { type: 'localStorage', name: INSTALL_PROMPT_STORAGE_KEY, purpose: 'Ob und wann Sie den Hinweis zur App-Installation geschlossen haben' }
+        ],
+        legalBasis: '§ 25 Abs. 2 Nr. 2 TDDDG (technisch erforderlich)'
     }
+];
 
-    startAutoSlide() {
-        if (this.isReducedMotion || this.slides.length <= 1) return;
+// Datenschutzerklärung sections for the integrations in PRIVACY_INTEGRATIONS
+class PrivacyPolicy {
+    constructor(container, consent) {
+        this.container = container;
+        this.consent = consent;
 
-        this.autoSlideInterval = setInterval(() => {
-            this.nextSlide();
-        }, this.autoSlideDelay);
+        this.init();
     }
 
-    pauseAutoSlide() {
-        if (this.autoSlideInterval) {
-            clearInterval(this.autoSlideInterval);
-            this.autoSlideInterval = null;
-        }
+    init() {
+        this.render();
+
+        document.addEventListener('consent:change', () => this.updateConsentStatus());
     }
 
-    resumeAutoSlide() {
-        if (!this.isReducedMotion && this.slides.length > 1) {
-            this.startAutoSlide();
-        }
+    // Only integrations that are part of this page
+    static getIntegrations() {
+        return PRIVACY_INTEGRATIONS.filter(integration => !integration.selector || document.querySelector(integration.selector));
     }
 
-    resetAutoSlide() {
-        this.pauseAutoSlide();
-        this.resumeAutoSlide();
+    render() {
+        this.container.innerHTML = PrivacyPolicy.getIntegrations()
+            .map(integration => PrivacyPolicy.renderSection(integration))
+            .join('');
+
+        this.updateConsentStatus();
     }
 
-    announceSlideChange(index) {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.className = 'sr-only';
-        announcement.textContent = `Bild ${index + 1} von ${this.slides.length}`;
+    static renderSection(integration) {
+        const text = integration.text
+            .map(paragraph => `<p class="privacy-section__text">${paragraph}</p>`)
+            .join('');
+
+        const storage = integration.storage ? `
+            <ul class="privacy-section__storage">
+                ${integration.storage.map(entry => `
+                    <li><code>${entry.name}</code> (${entry.type}): ${entry.purpose}</li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        const provider = integration.provider ? `
+            <p class="privacy-section__text">
+                <strong>Anbieter:</strong> ${integration.provider},
+                <a href="${integration.privacyUrl}" class="privacy-section__link" target="_blank" rel="noopener">Datenschutzhinweise des Anbieters</a>
+            </p>
+        ` : '';
 
-        document.body.appendChild(announcement);
-        setTimeout(() => document.body.removeChild(announcement), 1000);
+        const category = CONSENT_CATEGORIES.find(entry => entry.id === integration.consent);
+        const consent = category ? `
+            <p class="privacy-section__text privacy-section__consent">
+                <strong>Ihre Einwilligung („${category.label}“):</strong>
+                <span data-privacy-consent="${category.id}"></span>
+                <button type="button" class="privacy-section__button" data-consent-settings>Einstellungen ändern</button>
+            </p>
+        ` : '';
+
+        return `
+            <section class="privacy-section" id="datenschutz-${integration.id}">
+                <h3 class="privacy-section__title">${integration.title}</h3>
+                ${text}
+                ${storage}
+                ${provider}
+                <p class="privacy-section__text"><strong>Rechtsgrundlage:</strong> ${integration.legalBasis}</p>
+                ${consent}
+            </section>
+        `;
+    }
+
+    updateConsentStatus() {
+        this.container.querySelectorAll('[data-privacy-consent]').forEach(status => {
+            status.textContent = this.consent?.has(status.dataset.privacyConsent) ? 'erteilt' : 'nicht erteilt';
+        });
     }
 }
 
 // App initialization
 class PodologieApp {
     constructor() {
-        this.carousels = [];
+        // Carousel registry keyed by container element
+        this.carousels = new Map();
         this.isReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
         // Bind methods to maintain context
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleOutsideClick = this.handleOutsideClick.bind(this);
+        this.handleLocationChange = this.handleLocationChange.bind(this);
         this.handleResize = this.debounce(this.handleResize.bind(this), 250);
 
         this.init();
@@ -183,15 +3590,86 @@ class PodologieApp {
     // Initialize the application
     init() {
         this.waitForDOM(() => {
+            this.initI18n();
+            this.initConsent();
+            this.initRouteLinks();
             this.initCarousels();
             this.initTabNavigation();
-            this.initModal();
+            this.initDialogs();
+            this.initPrivacyPolicy();
+            this.initLightbox();
             this.initAccessibility();
             this.initEventListeners();
-            this.preloadImages();
+            this.initImageLoader();
+            this.initServicesCatalogue();
+            this.initServiceArea();
+            this.initFaq();
+            this.initOpeningHours();
+            this.initAnnouncements();
+            this.initContactExport();
+            this.initInstallPrompt();
         });
     }
 
+    // Page language: dictionary loading, language switcher and labels built by the app
+    initI18n() {
+        try {
+            this.i18n = i18n;
+            i18n.init();
+
+            document.addEventListener('i18n:change', () => {
+                const activeLink = this.navLinks?.find(link => link.classList.contains('nav__link--active'));
+                if (activeLink) this.updateDocumentTitle(activeLink);
+
+                this.updateLightboxLabels();
+            });
+
+            console.info('I18n initialized');
+        } catch (error) {
+            console.error('Error initializing i18n:', error);
+        }
+    }
+
+    // Ask for consent before loading analytics or external media
+    initConsent() {
+        try {
+            this.consent = new ConsentManager();
+
+            // "Datenschutz-Einstellungen" in the footer and "Einstellungen ändern" in the Datenschutzerklärung
+            document.addEventListener('click', (e) => {
+                const trigger = e.target.closest('[data-consent-settings]');
+                if (!trigger) return;
+
+                e.preventDefault();
+
+                // The banner can't be used behind a modal dialog, so focus returns to the footer link instead
+                const dialog = trigger.closest('.modal');
+                if (dialog) this.dialogs.close(dialog);
+
+                const returnFocusTo = dialog ? document.getElementById('consent-settings-link') : trigger;
+                this.consent.open({ showSettings: true, returnFocusTo });
+            });
+
+            console.info('Consent manager initialized');
+        } catch (error) {
+            console.error('Error initializing consent manager:', error);
+        }
+    }
+
+    // Open "Route planen" in the device's own map app on Android
+    initRouteLinks() {
+        try {
+            if (!/android/i.test(navigator.userAgent)) return;
+
+            document.querySelectorAll('.route-links__link[data-geo-href]').forEach(link => {
+                link.href = link.dataset.geoHref;
+                link.removeAttribute('target');
+            });
+        } catch (error) {
+            console.error('Error initializing route links:', error);
+        }
+    }
+
     // Initialize all carousels
     initCarousels() {
         // Find all carousel containers and initialize them
@@ -201,9 +3679,37 @@ class PodologieApp {
             const carouselId = `carousel-${index + 1}`;
             container.id = carouselId;
 
-            const carousel = new UnifiedCarousel(`#${carouselId}`, 4000);
-            this.carousels.push(carousel);
+            const carousel = new UnifiedCarousel(`#${carouselId}`);
+            this.carousels.set(container, carousel);
         });
+
+        // Forget carousels that other scripts tear down
+        document.addEventListener('carousel:destroy', (e) => {
+            this.carousels.delete(e.target);
+        });
+
+        // A play/pause choice made on one carousel applies to all of them
+        ['carousel:play', 'carousel:pause'].forEach(eventName => {
+            document.addEventListener(eventName, (e) => {
+                if (!e.detail.userInitiated) return;
+
+                this.carousels.forEach(carousel => {
+                    if (carousel !== e.detail.carousel && carousel.options.autoplay) {
+                        carousel.setPlaying(e.detail.carousel.isPlaying);
+                    }
+                });
+            });
+        });
+    }
+
+    // Look up the carousel that owns an element (container, slide, button, ...) or selector
+    getCarousel(elementOrSelector) {
+        const element = typeof elementOrSelector === 'string'
+            ? document.querySelector(elementOrSelector)
+            : elementOrSelector;
+        const container = element?.closest?.('.carousel-container');
+
+        return container ? this.carousels.get(container) || null : null;
     }
 
     // Wait for DOM to be ready
@@ -231,41 +3737,92 @@ class PodologieApp {
     // Initialize tab navigation
     initTabNavigation() {
         try {
-            const navLinks = Array.from(document.querySelectorAll('.nav__link'));
-            const tabContents = Array.from(document.querySelectorAll('.tab-content'));
+            this.navLinks = Array.from(document.querySelectorAll('.nav__link'));
+            this.tabContents = Array.from(document.querySelectorAll('.tab-content'));
 
-            if (navLinks.length === 0 || tabContents.length === 0) {
+            if (this.navLinks.length === 0 || this.tabContents.length === 0) {
                 console.info('No tab navigation found');
                 return;
             }
 
-            navLinks.forEach((link, index) => {
+            this.navLinks.forEach((link, index) => {
                 link.addEventListener('click', (e) => {
                     e.preventDefault();
-                    this.switchTab(link, navLinks, tabContents);
+                    this.switchTab(link);
                 });
 
                 // Add keyboard navigation
                 link.addEventListener('keydown', (e) => {
-                    this.handleTabKeyDown(e, navLinks, index);
+                    this.handleTabKeyDown(e, this.navLinks, index);
                 });
             });
 
-            console.info(`Tab navigation initialized with ${navLinks.length} tabs`);
+            this.initRouter();
+
+            console.info(`Tab navigation initialized with ${this.navLinks.length} tabs`);
         } catch (error) {
             console.error('Error initializing tab navigation:', error);
         }
     }
 
+    // Initialize hash-based routing so tabs can be deep linked and the back button works
+    initRouter() {
+        this.baseTitle = document.title;
+        this.defaultTabLink = this.navLinks.find(link => link.classList.contains('nav__link--active')) || this.navLinks[0];
+
+        const route = this.resolveRoute(window.location.hash);
+        if (route) {
+            this.switchTab(route.link, { updateHistory: false, moveFocus: false, target: route.target });
+        } else {
+            this.updateDocumentTitle(this.defaultTabLink);
+        }
+
+        window.addEventListener('popstate', this.handleLocationChange);
+        window.addEventListener('hashchange', this.handleLocationChange);
+    }
+
+    // Map a location hash to its tab link and an optional element inside that tab
+    resolveRoute(hash) {
+        const id = decodeURIComponent((hash || '').replace(/^#/, ''));
+        if (!id) return null;
+
+        const element = document.getElementById(id);
+        const tabContent = element?.closest('.tab-content');
+        if (!tabContent) return null;
+
+        const link = this.navLinks.find(navLink => navLink.getAttribute('href') === `#${tabContent.id}`);
+        if (!link) return null;
+
+        return { link, target: element === tabContent ? null : element };
+    }
+
+    // Sync the visible tab with the URL after back/forward navigation or manual hash edits
+    handleLocationChange() {
+        try {
+            const { hash } = window.location;
+            const route = this.resolveRoute(hash);
+
+            // Hashes such as #main (skip link) do not belong to a tab
+            if (!route && hash) return;
+
+            const link = route ? route.link : this.defaultTabLink;
+            if (link.classList.contains('nav__link--active') && !route?.target) return;
+
+            this.switchTab(link, { updateHistory: false, target: route?.target });
+        } catch (error) {
+            console.error('Error handling location change:', error);
+        }
+    }
+
     // Switch to specific tab
-    switchTab(activeLink, allLinks, allContents) {
+    switchTab(activeLink, { updateHistory = true, moveFocus = true, target = null } = {}) {
         try {
             // Remove active classes
-            allLinks.forEach(link => {
+            this.navLinks.forEach(link => {
                 link.classList.remove('nav__link--active');
                 link.setAttribute('aria-selected', 'false');
             });
-            allContents.forEach(content => {
+            this.tabContents.forEach(content => {
                 content.classList.remove('tab-content--active');
                 content.setAttribute('aria-hidden', 'true');
             });
@@ -278,13 +3835,29 @@ class PodologieApp {
             const targetId = activeLink.getAttribute('href').substring(1);
             const targetContent = document.getElementById(targetId);
 
+            // Record the tab in the browser history so it can be bookmarked and restored
+            if (updateHistory && window.location.hash !== `#${targetId}`) {
+                history.pushState({ tab: targetId }, '', `#${targetId}`);
+            }
+
+            this.updateDocumentTitle(activeLink);
+
             if (targetContent) {
                 targetContent.classList.add('tab-content--active');
                 targetContent.setAttribute('aria-hidden', 'false');
 
+                if (target) {
+                    // Lets the Leistungen filter and the FAQ search reveal a target they have hidden
+                    target.dispatchEvent(new CustomEvent('route:target', { bubbles: true }));
+
+                    // Deep links to a Leistung (#leistung-orthonyxie) or an FAQ answer (#faq-parken) expand it
+                    if (target.tagName === 'DETAILS') target.open = true;
+                    target.scrollIntoView({ block: 'start', behavior: this.isReducedMotion ? 'auto' : 'smooth' });
+                }
+
                 // Focus management for accessibility
                 const firstFocusable = targetContent.querySelector('h1, h2, h3, [tabindex="0"], button, a, input');
-                if (firstFocusable) {
+                if (moveFocus && firstFocusable) {
                     firstFocusable.focus();
                 }
             }
@@ -293,6 +3866,12 @@ class PodologieApp {
         }
     }
 
+    // Reflect the active tab in the document title
+    updateDocumentTitle(activeLink) {
+        const tabName = activeLink.textContent.trim();
+        document.title = `${tabName} | ${this.baseTitle}`;
+    }
+
     // Handle keyboard navigation for tabs
     handleTabKeyDown(event, navLinks, currentIndex) {
         const { key } = event;
@@ -323,123 +3902,72 @@ class PodologieApp {
         navLinks[newIndex].click();
     }
 
-    // Initialize modal functionality
-    initModal() {
+    // Impressum and other dialogs opened via data-dialog-target; the lightbox uses them too
+    initDialogs() {
         try {
-            const impressumLink = document.getElementById('impressum-link');
-            const impressumModal = document.getElementById('impressum-modal');
-            const closeButton = impressumModal?.querySelector('.modal__close');
-
-            if (!impressumLink || !impressumModal || !closeButton) {
-                console.info('Modal elements not found');
-                return;
-            }
-
-            // Add ARIA attributes
-            impressumModal.setAttribute('role', 'dialog');
-            impressumModal.setAttribute('aria-modal', 'true');
-            impressumModal.setAttribute('aria-labelledby', 'modal-title');
-
-            const modalTitle = impressumModal.querySelector('.modal__title');
-            if (modalTitle) {
-                modalTitle.id = 'modal-title';
-            }
-
-            // Open modal
-            impressumLink.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.openModal(impressumModal);
-            });
-
-            // Close modal
-            closeButton.addEventListener('click', () => {
-                this.closeModal(impressumModal);
-            });
-
-            // Close on overlay click
-            impressumModal.addEventListener('click', (e) => {
-                if (e.target === impressumModal) {
-                    this.closeModal(impressumModal);
-                }
-            });
-
-            console.info('Modal functionality initialized');
+            this.dialogs = new DialogManager();
+            console.info('Dialogs initialized');
         } catch (error) {
-            console.error('Error initializing modal:', error);
+            console.error('Error initializing dialogs:', error);
         }
     }
 
-    // Open modal with proper accessibility
-    openModal(modal) {
+    // Datenschutzerklärung sections generated from PRIVACY_INTEGRATIONS
+    initPrivacyPolicy() {
         try {
-            // Store currently focused element
-            this.previousFocus = document.activeElement;
-
-            // Show modal
-            modal.classList.add('modal--active');
-            modal.style.display = 'flex';
+            const container = document.querySelector('[data-privacy-integrations]');
+            if (!container) return;
 
-            // Prevent background scrolling
-            document.body.style.overflow = 'hidden';
-
-            // Focus first focusable element in modal
-            const firstFocusable = modal.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-            if (firstFocusable) {
-                firstFocusable.focus();
-            }
-
-            // Trap focus
-            this.trapFocus(modal);
+            this.privacyPolicy = new PrivacyPolicy(container, this.consent);
+            console.info('Privacy policy initialized');
         } catch (error) {
-            console.error('Error opening modal:', error);
+            console.error('Error initializing privacy policy:', error);
         }
     }
 
-    // Close modal and restore focus
-    closeModal(modal) {
+    // Make carousel images open in the fullscreen lightbox
+    initLightbox() {
         try {
-            modal.classList.remove('modal--active');
-            modal.style.display = 'none';
+            if (this.carousels.size === 0) return;
 
-            // Restore background scrolling
-            document.body.style.overflow = '';
+            this.lightbox = new Lightbox(this);
 
-            // Restore focus to trigger element
-            if (this.previousFocus) {
-                this.previousFocus.focus();
-                this.previousFocus = null;
-            }
+            this.carousels.forEach(carousel => {
+                carousel.slides.forEach((slide, index) => {
+                    const image = slide.querySelector('.carousel-slide__image');
+                    if (!image) return;
+
+                    image.setAttribute('role', 'button');
+                    image.tabIndex = index === carousel.currentSlideIndex ? 0 : -1;
+
+                    image.addEventListener('click', () => this.lightbox.open(carousel, index, image));
+                    image.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                            e.preventDefault();
+                            this.lightbox.open(carousel, index, image);
+                        }
+                    });
+                });
+            });
 
-            // Remove focus trap
-            document.removeEventListener('keydown', this.handleKeyDown);
+            this.updateLightboxLabels();
+            console.info('Lightbox initialized');
         } catch (error) {
-            console.error('Error closing modal:', error);
+            console.error('Error initializing lightbox:', error);
         }
     }
 
-    // Trap focus within modal
-    trapFocus(modal) {
-        const focusableElements = modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+    // "<alt text> – in Vollbild öffnen" for every image that opens the lightbox
+    updateLightboxLabels() {
+        if (!this.lightbox) return;
 
-        const firstFocusable = focusableElements[0];
-        const lastFocusable = focusableElements[focusableElements.length - 1];
+        this.carousels.forEach(carousel => {
+            carousel.slides.forEach(slide => {
+                const image = slide.querySelector('.carousel-slide__image');
+                if (!image) return;
 
-        modal.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                if (e.shiftKey) {
-                    if (document.activeElement === firstFocusable) {
-                        e.preventDefault();
-                        lastFocusable.focus();
-                    }
-                } else {
-                    if (document.activeElement === lastFocusable) {
-                        e.preventDefault();
-                        firstFocusable.focus();
-                    }
-                }
-            }
+                image.setAttribute('aria-label', i18n.t('lightbox.open', '{alt} – in Vollbild öffnen', { alt: image.alt }));
+            });
         });
     }
 
@@ -467,8 +3995,10 @@ class PodologieApp {
         skipLink.href = '#main';
         skipLink.className = 'skip-link';
         skipLink.textContent = 'Zum Hauptinhalt springen';
+        skipLink.dataset.i18n = 'a11y.skipLink';
 
         document.body.insertBefore(skipLink, document.body.firstChild);
+        i18n.apply(skipLink);
 
         const main = document.querySelector('.main');
         if (main) {
@@ -483,6 +4013,9 @@ class PodologieApp {
         phoneLinks.forEach(link => {
             if (!link.getAttribute('aria-label')) {
                 link.setAttribute('aria-label', `Telefonnummer ${link.textContent} anrufen`);
+                link.dataset.i18nAriaLabel = 'a11y.callNumber';
+                link.dataset.i18nParamNumber = link.textContent;
+                i18n.apply(link);
             }
         });
     }
@@ -492,8 +4025,11 @@ class PodologieApp {
         if (this.isReducedMotion) {
             document.documentElement.style.setProperty('--transition-fast', '0.01ms');
             document.documentElement.style.setProperty('--transition-smooth', '0.01ms');
-            // Pause all carousels auto-slide
-            this.carousels.forEach(carousel => carousel.pauseAutoSlide());
+        }
+
+        // Stop all carousels unless the visitor explicitly chose to keep them playing
+        if (this.isReducedMotion && UnifiedCarousel.getAutoplayPreference() !== 'playing') {
+            this.carousels.forEach(carousel => carousel.pause());
         }
 
         // Listen for changes in motion preference
@@ -518,9 +4054,9 @@ class PodologieApp {
             document.addEventListener('visibilitychange', () => {
                 this.carousels.forEach(carousel => {
                     if (document.hidden) {
-                        carousel.pauseAutoSlide();
+                        carousel.suspendAutoSlide('hidden');
                     } else {
-                        carousel.resumeAutoSlide();
+                        carousel.resumeAutoSlide('hidden');
                     }
                 });
             });
@@ -535,33 +4071,18 @@ class PodologieApp {
     handleKeyDown(event) {
         const { key, target } = event;
 
-        // Close modal with Escape key
-        if (key === 'Escape') {
-            const openModal = document.querySelector('.modal--active');
-            if (openModal) {
-                this.closeModal(openModal);
-                return;
-            }
-        }
-
         // Carousel keyboard navigation (only when carousel is focused)
-        const carouselContainer = target.closest('.carousel-container');
-        if (carouselContainer) {
-            // Find which carousel this container belongs to
-            const carouselIndex = Array.from(document.querySelectorAll('.carousel-container')).indexOf(carouselContainer);
-            const carousel = this.carousels[carouselIndex];
-
-            if (carousel) {
-                switch (key) {
-                    case 'ArrowLeft':
-                        event.preventDefault();
-                        carousel.prevSlide();
-                        break;
-                    case 'ArrowRight':
-                        event.preventDefault();
-                        carousel.nextSlide();
-                        break;
-                }
+        const carousel = this.getCarousel(target);
+        if (carousel) {
+            switch (key) {
+                case 'ArrowLeft':
+                    event.preventDefault();
+                    carousel.prevSlide();
+                    break;
+                case 'ArrowRight':
+                    event.preventDefault();
+                    carousel.nextSlide();
+                    break;
             }
         }
     }
@@ -577,36 +4098,102 @@ class PodologieApp {
         // Update any layout-dependent features
     }
 
-    // Preload images for better performance
-    preloadImages() {
+    // Leistungen filter and photo links
+    initServicesCatalogue() {
         try {
-            const images = document.querySelectorAll('img[src]');
-            const imagePromises = Array.from(images).map(img => {
-                return new Promise((resolve, reject) => {
-                    if (img.complete) {
-                        resolve();
-                    } else {
-                        img.addEventListener('load', resolve);
-                        img.addEventListener('error', reject);
-                    }
-                });
-            });
+            const container = document.querySelector('.services-content');
+            if (!container) return;
 
-            Promise.allSettled(imagePromises).then(results => {
-                const failed = results.filter(result => result.status === 'rejected').length;
-                if (failed > 0) {
-                    console.warn(`${failed} images failed to load`);
-                } else {
-                    console.info('All images preloaded successfully');
-                }
-            });
+            this.servicesCatalogue = new ServicesCatalogue(container, this);
+            console.info('Services catalogue initialized');
+        } catch (error) {
+            console.error('Error initializing services catalogue:', error);
+        }
+    }
+
+    // "Kommen wir zu Ihnen?" Hausbesuch check
+    initServiceArea() {
+        try {
+            const form = document.querySelector('[data-service-area]');
+            if (!form) return;
+
+            this.serviceArea = new ServiceArea(form);
+            console.info('Service area check initialized');
+        } catch (error) {
+            console.error('Error initializing service area check:', error);
+        }
+    }
+
+    // Häufige Fragen search
+    initFaq() {
+        try {
+            const container = document.getElementById('faq');
+            if (!container?.querySelector('[data-faq-search]')) return;
+
+            this.faqSearch = new FaqSearch(container);
+            console.info('FAQ search initialized');
+        } catch (error) {
+            console.error('Error initializing FAQ search:', error);
+        }
+    }
+
+    // Render opening and phone hours with a live status
+    initOpeningHours() {
+        try {
+            const container = document.querySelector('[data-opening-hours]');
+            if (!container) return;
+
+            this.openingHours = new OpeningHours(container);
+            console.info('Opening hours initialized');
+        } catch (error) {
+            console.error('Error initializing opening hours:', error);
+        }
+    }
+
+    // vCard and calendar downloads in the Kontakt tab
+    initContactExport() {
+        try {
+            this.contactExport = new ContactExport();
+            console.info('Contact export initialized');
+        } catch (error) {
+            console.error('Error initializing contact export:', error);
+        }
+    }
+
+    // Show current notices from the announcements feed
+    initAnnouncements() {
+        try {
+            this.announcements = new Announcements();
+            console.info('Announcements initialized');
+        } catch (error) {
+            console.error('Error initializing announcements:', error);
+        }
+    }
+
+    // Lazy-load carousel images and their responsive variants
+    initImageLoader() {
+        try {
+            if (this.carousels.size === 0) return;
+
+            this.imageLoader = new ImageLoader(this);
+            console.info('Image loader initialized');
+        } catch (error) {
+            console.error('Error initializing image loader:', error);
+        }
+    }
+
+    // Offer installing the site as an app
+    initInstallPrompt() {
+        try {
+            this.installPrompt = new InstallPrompt();
         } catch (error) {
-            console.error('Error preloading images:', error);
+            console.error('Error initializing install prompt:', error);
         }
     }
 }
 
 // Initialize application
+const i18n = new I18n();
 const app = new PodologieApp();
 
 // Service Worker Registration (if available)
@@ -615,6 +4202,7 @@ if ('serviceWorker' in navigator) {
         navigator.serviceWorker.register('/sw.js')
             .then((registration) => {
                 console.info('ServiceWorker registration successful');
+                app.updateBanner = new UpdateBanner(registration);
             })
             .catch((err) => {
                 console.info('ServiceWorker registration failed (this is normal if sw.js doesn\'t exist)');
@@ -622,12 +4210,6 @@ if ('serviceWorker' in navigator) {
     });
 }
 
-// Analytics placeholder (GDPR compliant)
-window.addEventListener('load', () => {
-    // Add your analytics code here
-    // Make sure to implement proper GDPR consent before tracking
-});
-
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { PodologieApp };
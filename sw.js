@@ -5,56 +5,124 @@
 
 'use strict';
 
-const CACHE_NAME = 'podologie-weimar-v1.0.0';
-const STATIC_CACHE = `${CACHE_NAME}-static`;
-const DYNAMIC_CACHE = `${CACHE_NAME}-dynamic`;
-
-// Files to cache for offline functionality
-const STATIC_ASSETS = [
-    '/',
-    '/index.html',
-    '/styles.css',
-    '/script.js',
-    '/images/about1.jpeg',
-    '/images/about2.jpeg',
-    '/images/about3.jpeg',
-    '/images/about4.jpeg',
-    '/images/about5.jpeg',
-    // Add other static assets as needed
-];
-
-// Maximum number of dynamic cache entries
-const MAX_DYNAMIC_CACHE_SIZE = 50;
-
-// Install event - cache static assets
+// Content-hashed asset list generated by tools/build-precache.js
+importScripts('/precache-manifest.js');
+
+const { version: PRECACHE_VERSION, assets: PRECACHE_ASSETS } = self.PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = 'podologie-weimar';
+const CACHE_NAME = `${CACHE_PREFIX}-${PRECACHE_VERSION}`;
+const PRECACHE = `${CACHE_NAME}-precache`;
+
+// Precached URLs are stored under a revisioned key so unchanged files can be reused across versions
+const PRECACHE_KEYS = new Map(
+    PRECACHE_ASSETS.map(({ url, revision }) => [url, `${url}?__revision=${revision}`])
+);
+
+// Page shown for navigations while offline
+const OFFLINE_PAGE = '/offline.html';
+
+// How long a navigation waits for the network before falling back to the cached page
+const NAVIGATION_TIMEOUT = 3000;
+
+const DAY_IN_SECONDS = 24 * 60 * 60;
+
+// Runtime caching routes, checked in order. Runtime caches are not tied to a precache
+// version; max-age and max-entries (least recently used first) keep them fresh and small.
+const RUNTIME_ROUTES = [
+    {
+        name: 'images',
+        pattern: /^\/images\/.+\.(?:avif|webp|jpe?g|png|gif|svg)$/,
+        strategy: 'cache-first',
+        maxEntries: 80,
+        maxAgeSeconds: 30 * DAY_IN_SECONDS
+    },
+    {
+        // Includes data/announcements.json, so offline visitors still see the last known notice
+        name: 'data',
+        pattern: /\.json$/,
+        strategy: 'network-first',
+        maxEntries: 20,
+        maxAgeSeconds: 7 * DAY_IN_SECONDS
+    },
+    {
+        name: 'assets',
+        pattern: /\.(?:js|css|woff2?)$/,
+        strategy: 'stale-while-revalidate',
+        maxEntries: 30,
+        maxAgeSeconds: 7 * DAY_IN_SECONDS
+    },
+    {
+        name: 'dynamic',
+        pattern: /./,
+        strategy: 'network-first',
+        maxEntries: 50,
+        maxAgeSeconds: DAY_IN_SECONDS
+    }
+].map(route => ({ ...route, cacheName: `${CACHE_PREFIX}-runtime-${route.name}` }));
+
+const STRATEGIES = {
+    'cache-first': cacheFirst,
+    'network-first': networkFirst,
+    'stale-while-revalidate': staleWhileRevalidate
+};
+
+// IndexedDB bookkeeping for runtime cache entries (cached time and last access)
+const EXPIRATION_DB_NAME = `${CACHE_PREFIX}-cache-expiration`;
+const EXPIRATION_STORE = 'entries';
+
+// Install event - precache the current version without touching the one in use
 self.addEventListener('install', (event) => {
-    console.log('Service Worker installing...');
+    console.log(`Service Worker installing version ${PRECACHE_VERSION}...`);
 
     event.waitUntil(
-        caches.open(STATIC_CACHE)
-            .then((cache) => {
-                console.log('Caching static assets...');
-                return cache.addAll(STATIC_ASSETS);
-            })
-            .then(() => {
-                return self.skipWaiting();
-            })
-            .catch((error) => {
-                console.error('Error caching static assets:', error);
-            })
+        precacheAssets().catch((error) => {
+            console.error('Error precaching assets:', error);
+            throw error;
+        })
     );
 });
 
+// Copy unchanged files from older caches and download only what changed
+async function precacheAssets() {
+    const cache = await caches.open(PRECACHE);
+
+    await Promise.all(Array.from(PRECACHE_KEYS.entries()).map(async ([url, cacheKey]) => {
+        if (await cache.match(cacheKey)) return;
+
+        const previous = await caches.match(cacheKey);
+        if (previous) {
+            await cache.put(cacheKey, previous);
+            return;
+        }
+
+        const response = await fetch(url, { cache: 'reload' });
+        if (!response.ok) {
+            throw new Error(`Failed to precache ${url}: ${response.status}`);
+        }
+        await cache.put(cacheKey, response);
+    }));
+}
+
+// The page asks the waiting worker to take over once the visitor accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
     console.log('Service Worker activating...');
 
+    const currentCaches = [PRECACHE, ...RUNTIME_ROUTES.map(route => route.cacheName)];
+
     event.waitUntil(
         caches.keys()
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
-                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
+                        if (!currentCaches.includes(cacheName)) {
                             console.log('Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -79,67 +147,138 @@ self.addEventListener('fetch', (event) => {
 
     // Handle navigation requests (HTML pages)
     if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    // Precached files always come from the installed version
+    if (PRECACHE_KEYS.has(url.pathname)) {
         event.respondWith(
-            caches.match('/')
-                .then((response) => {
-                    return response || fetch(request);
-                })
-                .catch(() => {
-                    return caches.match('/');
-                })
+            matchPrecache(url.pathname).then((response) => response || fetch(request))
         );
         return;
     }
 
-    // Handle other requests with cache-first strategy for static assets,
-    // network-first for dynamic content
-    if (isStaticAsset(request.url)) {
-        event.respondWith(cacheFirst(request));
-    } else {
-        event.respondWith(networkFirst(request));
+    // Everything else is handled by the first matching runtime route
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const route = RUNTIME_ROUTES.find(({ pattern }) => pattern.test(url.pathname));
+    if (route) {
+        event.respondWith(STRATEGIES[route.strategy](request, route, event));
     }
 });
 
-// Cache-first strategy for static assets
-async function cacheFirst(request) {
+// Network-first for pages: a slow network falls back to the cached homepage,
+// no network at all to the offline page with the practice's contact details
+async function handleNavigation(request) {
     try {
-        const cachedResponse = await caches.match(request);
-        if (cachedResponse) {
-            return cachedResponse;
+        return await fetchWithTimeout(request, NAVIGATION_TIMEOUT);
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            console.log('Navigation timed out, serving cached page');
+            const cachedPage = await matchPrecache('/');
+            if (cachedPage) {
+                return cachedPage;
+            }
         }
 
+        console.log('Navigation failed, serving offline page:', error);
+        const offlinePage = await matchPrecache(OFFLINE_PAGE);
+        return offlinePage || Response.error();
+    }
+}
+
+function fetchWithTimeout(request, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            const error = new Error(`Network did not respond within ${timeout}ms`);
+            error.name = 'TimeoutError';
+            reject(error);
+        }, timeout);
+
+        fetch(request)
+            .then((response) => {
+                clearTimeout(timer);
+                resolve(response);
+            })
+            .catch((error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+    });
+}
+
+async function matchPrecache(pathname) {
+    const cache = await caches.open(PRECACHE);
+    return cache.match(PRECACHE_KEYS.get(pathname));
+}
+
+// Only complete same-origin responses are cached; opaque and partial responses are not
+function isCacheable(response) {
+    return response && response.status === 200 && response.type === 'basic';
+}
+
+function offlineResponse() {
+    return new Response('Offline content not available', {
+        status: 503,
+        statusText: 'Service Unavailable'
+    });
+}
+
+// Store a network response and update its expiration record
+async function putInCache(route, request, response) {
+    if (!isCacheable(response)) return;
+
+    const cache = await caches.open(route.cacheName);
+    await cache.put(request, response);
+    await recordEntry(route.cacheName, request.url, { cachedAt: Date.now() });
+    await expireEntries(route);
+}
+
+// Cached response unless it is older than the route's max-age
+async function matchFresh(route, request) {
+    const cache = await caches.open(route.cacheName);
+    const cachedResponse = await cache.match(request);
+    if (!cachedResponse) return { cachedResponse: null, isFresh: false };
+
+    const entry = await getEntry(route.cacheName, request.url);
+    const isFresh = !entry || Date.now() - entry.cachedAt < route.maxAgeSeconds * 1000;
+
+    return { cachedResponse, isFresh };
+}
+
+// Cache-first: fresh cache hits skip the network entirely
+async function cacheFirst(request, route) {
+    const { cachedResponse, isFresh } = await matchFresh(route, request);
+    if (cachedResponse && isFresh) {
+        await recordEntry(route.cacheName, request.url);
+        return cachedResponse;
+    }
+
+    try {
         const networkResponse = await fetch(request);
-        if (networkResponse.status === 200) {
-            const cache = await caches.open(STATIC_CACHE);
-            cache.put(request, networkResponse.clone());
-        }
+        await putInCache(route, request, networkResponse.clone());
         return networkResponse;
     } catch (error) {
         console.error('Cache-first strategy failed:', error);
-        return new Response('Offline content not available', {
-            status: 503,
-            statusText: 'Service Unavailable'
-        });
+        // An expired copy is better than nothing while offline
+        return cachedResponse || offlineResponse();
     }
 }
 
-// Network-first strategy for dynamic content
-async function networkFirst(request) {
+// Network-first: the cache is only used when the network fails
+async function networkFirst(request, route) {
     try {
         const networkResponse = await fetch(request);
-        if (networkResponse.status === 200) {
-            const cache = await caches.open(DYNAMIC_CACHE);
-
-            // Limit dynamic cache size
-            limitCacheSize(DYNAMIC_CACHE, MAX_DYNAMIC_CACHE_SIZE);
-
-            cache.put(request, networkResponse.clone());
-        }
+        await putInCache(route, request, networkResponse.clone());
         return networkResponse;
     } catch (error) {
         console.log('Network failed, trying cache:', error);
-        const cachedResponse = await caches.match(request);
+        const { cachedResponse } = await matchFresh(route, request);
         if (cachedResponse) {
+            await recordEntry(route.cacheName, request.url);
             return cachedResponse;
         }
 
@@ -150,32 +289,113 @@ async function networkFirst(request) {
     }
 }
 
-// Check if request is for a static asset
-function isStaticAsset(url) {
-    return STATIC_ASSETS.some(asset => url.endsWith(asset)) ||
-        url.includes('/images/') ||
-        url.endsWith('.css') ||
-        url.endsWith('.js') ||
-        url.endsWith('.jpg') ||
-        url.endsWith('.jpeg') ||
-        url.endsWith('.png') ||
-        url.endsWith('.gif') ||
-        url.endsWith('.webp');
+// Stale-while-revalidate: answer from cache immediately and refresh it in the background
+async function staleWhileRevalidate(request, route, event) {
+    const { cachedResponse, isFresh } = await matchFresh(route, request);
+
+    const revalidation = fetch(request)
+        .then(async (networkResponse) => {
+            await putInCache(route, request, networkResponse.clone());
+            return networkResponse;
+        });
+
+    if (cachedResponse && isFresh) {
+        event.waitUntil(revalidation.catch((error) => {
+            console.log('Background revalidation failed:', error);
+        }));
+        await recordEntry(route.cacheName, request.url);
+        return cachedResponse;
+    }
+
+    try {
+        return await revalidation;
+    } catch (error) {
+        console.error('Stale-while-revalidate strategy failed:', error);
+        return cachedResponse || offlineResponse();
+    }
 }
 
-// Limit cache size to prevent storage overflow
-async function limitCacheSize(cacheName, size) {
+// Expiration bookkeeping in IndexedDB
+let expirationDb = null;
+
+function openExpirationDb() {
+    if (!expirationDb) {
+        expirationDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(EXPIRATION_DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(EXPIRATION_STORE, { keyPath: 'id' });
+                store.createIndex('cacheName', 'cacheName');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return expirationDb;
+}
+
+// Run one request against the entries store and resolve with its result
+async function withStore(mode, callback) {
+    const db = await openExpirationDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(EXPIRATION_STORE, mode);
+        const request = callback(transaction.objectStore(EXPIRATION_STORE));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function getEntry(cacheName, url) {
+    return withStore('readonly', store => store.get(`${cacheName}|${url}`))
+        .catch((error) => {
+            console.error('Error reading cache entry:', error);
+            return null;
+        });
+}
+
+// Update the last access time (and the cached time when the response was replaced)
+async function recordEntry(cacheName, url, { cachedAt } = {}) {
     try {
-        const cache = await caches.open(cacheName);
-        const keys = await cache.keys();
+        const existing = await getEntry(cacheName, url);
+        const now = Date.now();
+
+        await withStore('readwrite', store => store.put({
+            id: `${cacheName}|${url}`,
+            cacheName,
+            url,
+            cachedAt: cachedAt || (existing && existing.cachedAt) || now,
+            lastAccessed: now
+        }));
+    } catch (error) {
+        console.error('Error recording cache entry:', error);
+    }
+}
 
-        if (keys.length > size) {
-            // Delete oldest entries
-            const keysToDelete = keys.slice(0, keys.length - size);
-            await Promise.all(keysToDelete.map(key => cache.delete(key)));
-        }
+// Remove entries older than max-age, then the least recently used ones beyond max-entries
+async function expireEntries(route) {
+    try {
+        const entries = await withStore('readonly', store => store.index('cacheName').getAll(route.cacheName));
+        const now = Date.now();
+        const maxAge = route.maxAgeSeconds * 1000;
+
+        const expired = entries.filter(entry => now - entry.cachedAt > maxAge);
+        const remaining = entries
+            .filter(entry => !expired.includes(entry))
+            .sort((a, b) => b.lastAccessed - a.lastAccessed);
+        const evicted = remaining.slice(route.maxEntries);
+
+        const toDelete = [...expired, ...evicted];
+        if (toDelete.length === 0) return;
+
+        const cache = await caches.open(route.cacheName);
+        await Promise.all(toDelete.map(entry => cache.delete(entry.url)));
+        await withStore('readwrite', (store) => {
+            toDelete.forEach(entry => store.delete(entry.id));
+        });
     } catch (error) {
-        console.error('Error limiting cache size:', error);
+        console.error('Error expiring cache entries:', error);
     }
 }
 
@@ -200,8 +420,8 @@ self.addEventListener('push', (event) => {
 
     const options = {
         body: event.data ? event.data.text() : 'Neue Nachricht von Podologie Weimar',
-        icon: '/icon-192x192.png',
-        badge: '/icon-72x72.png',
+        icon: '/icons/icon-192x192.png',
+        badge: '/icons/icon-72x72.png',
         vibrate: [200, 100, 200],
         data: {
             url: '/'
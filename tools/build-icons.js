@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * App icon build for Podologie Weimar
+ * Generates the PWA, Apple touch and favicon icons in icons/ from images/logo.png.
+ *
+ * Usage: node tools/build-icons.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    console.error('This script needs sharp: run "npm install --no-save sharp" first.');
+    process.exit(1);
+}
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SOURCE_PATH = path.join(ROOT_DIR, 'images', 'logo.png');
+const OUTPUT_DIR = path.join(ROOT_DIR, 'icons');
+
+const BACKGROUND = '#ffffff';
+
+// Icons referenced by manifest.json, index.html and sw.js
+const ICONS = [
+    ...[72, 96, 128, 144, 152, 192, 384, 512].map(size => ({ name: `icon-${size}x${size}.png`, size, padding: 0.08 })),
+    // Maskable icons keep the logo inside the 80% safe zone
+    { name: 'maskable-192x192.png', size: 192, padding: 0.2 },
+    { name: 'maskable-512x512.png', size: 512, padding: 0.2 },
+    { name: 'apple-touch-icon.png', size: 180, padding: 0.1 },
+    { name: 'favicon-32x32.png', size: 32, padding: 0 }
+];
+
+async function renderIcon({ name, size, padding }) {
+    const inner = Math.round(size * (1 - padding * 2));
+
+    const logo = await sharp(SOURCE_PATH)
+        .resize(inner, inner, { fit: 'contain', background: BACKGROUND })
+        .flatten({ background: BACKGROUND })
+        .toBuffer();
+
+    await sharp({
+        create: { width: size, height: size, channels: 3, background: BACKGROUND }
+    })
+        .composite([{ input: logo, gravity: 'center' }])
+        .png({ compressionLevel: 9 })
+        .toFile(path.join(OUTPUT_DIR, name));
+}
+
+async function main() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    for (const icon of ICONS) {
+        await renderIcon(icon);
+        console.log(`✔ icons/${icon.name}`);
+    }
+}
+
+main().catch((error) => {
+    console.error('Icon build failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Responsive image build for Podologie Weimar
+ * Generates resized AVIF/WebP/JPEG variants and blurred placeholders for every
+ * photo in images/ and writes images/manifest.json, which is read by the
+ * carousel image loader in script.js and by tools/build-precache.js. The precache
+ * manifest is regenerated at the end, so this is the only build step for photos.
+ *
+ * Usage: node tools/build-images.js [--force]
+ */
+
+'use strict';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    console.error('This script needs sharp: run "npm install --no-save sharp" first.');
+    process.exit(1);
+}
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const IMAGES_DIR = path.join(ROOT_DIR, 'images');
+const OUTPUT_DIR = path.join(IMAGES_DIR, 'generated');
+const MANIFEST_PATH = path.join(IMAGES_DIR, 'manifest.json');
+
+// Target widths; variants larger than the original are skipped
+const WIDTHS = [480, 800, 1200];
+
+const FORMATS = {
+    avif: { quality: 50 },
+    webp: { quality: 72 },
+    jpeg: { quality: 78, mozjpeg: true }
+};
+
+const PLACEHOLDER_WIDTH = 16;
+const SOURCE_PATTERN = /\.(jpe?g)$/i;
+
+const force = process.argv.includes('--force');
+
+// Only regenerate a variant when the source photo is newer
+function isUpToDate(sourcePath, outputPath) {
+    if (force || !fs.existsSync(outputPath)) return false;
+    return fs.statSync(outputPath).mtimeMs >= fs.statSync(sourcePath).mtimeMs;
+}
+
+// URLs in the manifest are relative to the site root, like the src attributes in index.html
+function toUrl(filePath) {
+    return path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+}
+
+async function createPlaceholder(sourcePath) {
+    const buffer = await sharp(sourcePath)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
+
+async function processImage(fileName) {
+    const sourcePath = path.join(IMAGES_DIR, fileName);
+    const baseName = path.parse(fileName).name;
+    const metadata = await sharp(sourcePath).rotate().metadata();
+
+    // EXIF orientations 5-8 swap width and height
+    const swapped = metadata.orientation >= 5;
+    const width = swapped ? metadata.height : metadata.width;
+    const height = swapped ? metadata.width : metadata.height;
+
+    const widths = WIDTHS.filter(targetWidth => targetWidth < width);
+    if (widths.length === 0) widths.push(width);
+
+    const sources = {};
+
+    for (const [format, options] of Object.entries(FORMATS)) {
+        sources[format] = [];
+
+        for (const targetWidth of widths) {
+            const outputPath = path.join(OUTPUT_DIR, `${baseName}-${targetWidth}.${format}`);
+
+            if (!isUpToDate(sourcePath, outputPath)) {
+                await sharp(sourcePath)
+                    .rotate()
+                    .resize({ width: targetWidth })
+                    .toFormat(format, options)
+                    .toFile(outputPath);
+            }
+
+            sources[format].push({ src: toUrl(outputPath), width: targetWidth });
+        }
+    }
+
+    return {
+        width,
+        height,
+        placeholder: await createPlaceholder(sourcePath),
+        sources
+    };
+}
+
+async function main() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    const files = fs.readdirSync(IMAGES_DIR)
+        .filter(fileName => SOURCE_PATTERN.test(fileName))
+        .sort();
+
+    const images = {};
+
+    for (const fileName of files) {
+        const started = Date.now();
+        images[`images/${fileName}`] = await processImage(fileName);
+        console.log(`✔ ${fileName} (${Date.now() - started}ms)`);
+    }
+
+    const manifest = { version: 1, images };
+    fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    console.log(`Wrote ${toUrl(MANIFEST_PATH)} with ${files.length} images`);
+
+    // images/manifest.json is precached with a content hash, so the service worker needs a new version
+    execFileSync(process.execPath, [path.join(__dirname, 'build-precache.js')], { stdio: 'inherit' });
+}
+
+main().catch((error) => {
+    console.error('Image build failed:', error);
+    process.exit(1);
+});
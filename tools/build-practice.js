@@ -0,0 +1,532 @@
+#!/usr/bin/env node
+/**
+ * Practice data build for Podologie Weimar
+ * Renders the meta tags, contact details, Impressum and Datenschutz address, Leistungen catalogue, FAQ, map
+ * placeholder, offline opening hours and the schema.org JSON-LD from data/practice.json, data/opening-hours.json and data/faq.json
+ * into the marked regions of index.html and offline.html:
+ *
+ *   <!-- practice:contact --> ... <!-- /practice:contact -->
+ *
+ * Usage: node tools/build-practice.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PRACTICE_PATH = path.join(ROOT_DIR, 'data', 'practice.json');
+const OPENING_HOURS_PATH = path.join(ROOT_DIR, 'data', 'opening-hours.json');
+const FAQ_PATH = path.join(ROOT_DIR, 'data', 'faq.json');
+
+// Written by tools/build-static-map.js; until then the placeholder shows the sketch
+const STATIC_MAP = 'images/map-static.png';
+const MAP_SKETCH = 'images/map-static.svg';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DAY_NAMES = {
+    monday: 'Montag',
+    tuesday: 'Dienstag',
+    wednesday: 'Mittwoch',
+    thursday: 'Donnerstag',
+    friday: 'Freitag',
+    saturday: 'Samstag',
+    sunday: 'Sonntag'
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// "03643 2123313" → "tel:036432123313"
+function toTelHref(number) {
+    return `tel:${number.replace(/[^\d+]/g, '')}`;
+}
+
+// "03643 2123313" → "+49 3643 2123313"
+function toInternational(number) {
+    return number.startsWith('0') ? `+49 ${number.slice(1)}` : number;
+}
+
+function absoluteUrl(practice, url) {
+    return new URL(url, practice.url).href;
+}
+
+// data-i18n-param-<name>="value" attributes that fill the placeholders of a translation
+function i18nParams(params) {
+    return Object.entries(params)
+        .map(([name, value]) => ` data-i18n-param-${name}="${escapeHtml(value)}"`)
+        .join('');
+}
+
+function phoneLink(label, labelKey, number, ariaLabel, ariaLabelKey, params) {
+    const labelAttribute = labelKey ? ` data-i18n="${labelKey}"` : '';
+
+    return `<strong${labelAttribute}>${escapeHtml(label)}:</strong> <a href="${toTelHref(number)}" ` +
+        `class="contact-item__link" aria-label="${escapeHtml(ariaLabel)}" data-i18n-aria-label="${ariaLabelKey}"` +
+        `${i18nParams(params)}>${escapeHtml(number)}</a>`;
+}
+
+function renderMeta(practice) {
+    const { address } = practice;
+
+    return `
+<meta name="description"
+    content="${escapeHtml(`${practice.legalName} in ${address.city}. ${practice.description} ${address.street}.`)}">
+<meta name="keywords" content="${escapeHtml(practice.keywords.join(', '))}">
+<meta name="author" content="${escapeHtml(practice.team)}">
+
+<!-- Open Graph Meta Tags -->
+<meta property="og:title" content="${escapeHtml(`${practice.name} - ${practice.team}`)}">
+<meta property="og:description"
+    content="${escapeHtml(`Professionelle podologische Behandlungen in ${address.city}. ${practice.description}`)}">
+<meta property="og:type" content="website">
+<meta property="og:url" content="${escapeHtml(practice.url)}">`;
+}
+
+function renderContact(practice) {
+    const { address, phone, owners } = practice;
+
+    return `
+<div class="contact-info">
+    <div class="contact-item">
+        <h3 class="contact-item__title" data-i18n="contact.address">Adresse</h3>
+        <address class="contact-item__text">
+            ${escapeHtml(address.street)}<br>
+            ${escapeHtml(address.postalCode)} ${escapeHtml(address.city)}
+        </address>
+    </div>
+
+    <div class="contact-item">
+        <h3 class="contact-item__title" data-i18n="contact.phone">Telefon</h3>
+        <p class="contact-item__text">${phoneLink(phone.label, 'contact.practice', phone.number,
+        `${phone.label} anrufen: ${phone.number}`, 'contact.callPractice', { number: phone.number })}</p>
+    </div>
+
+    <div class="contact-item">
+        <h3 class="contact-item__title" data-i18n="contact.mobile">Mobil</h3>
+${owners.map(owner => `        <p class="contact-item__text">${phoneLink(owner.shortName, null, owner.mobile,
+        `${owner.shortName} mobil anrufen: ${owner.mobile}`, 'contact.callMobile',
+        { name: owner.shortName, number: owner.mobile })}</p>`).join('\n')}
+    </div>
+</div>`;
+}
+
+function renderImpressum(practice) {
+    const { address, phone, email } = practice;
+
+    return `
+<section class="impressum-section">
+    <p class="impressum-section__text"><strong data-i18n="impressum.provider">Angaben gem. § 5 TMG:</strong></p>
+    <address class="impressum-section__text">
+        ${escapeHtml(practice.responsiblePerson)}<br>
+        ${escapeHtml(address.street)}<br>
+        ${escapeHtml(address.postalCode)} ${escapeHtml(address.city)}
+    </address>
+</section>
+
+<section class="impressum-section">
+    <p class="impressum-section__text"><strong data-i18n="impressum.contact">Kontaktaufnahme:</strong></p>
+    <p class="impressum-section__text"><span data-i18n="impressum.phone">Telefon:</span> ${escapeHtml(phone.number)}<br>
+        <span data-i18n="impressum.email">E-Mail:</span>
+        <a href="mailto:${escapeHtml(email)}" class="contact-item__link">${escapeHtml(email)}</a></p>
+</section>`;
+}
+
+// Controller in the German-only Datenschutzerklärung, so no translation keys
+function renderPrivacy(practice) {
+    const { address, phone, email } = practice;
+
+    return `
+<address class="privacy-section__text">
+    ${escapeHtml(practice.legalName)}<br>
+    ${escapeHtml(practice.responsiblePerson)}<br>
+    ${escapeHtml(address.street)}<br>
+    ${escapeHtml(address.postalCode)} ${escapeHtml(address.city)}
+</address>
+<p class="privacy-section__text">Telefon: ${escapeHtml(phone.number)}<br>
+    E-Mail: <a href="mailto:${escapeHtml(email)}" class="contact-item__link">${escapeHtml(email)}</a></p>`;
+}
+
+// "Alle" plus one toggle per category; hidden until the script can filter
+function renderServiceFilter(practice) {
+    const buttons = practice.serviceCategories.map(category => `
+    <button type="button" class="service-filter__button" data-service-category="${category.id}" aria-pressed="false"
+        data-i18n="services.categories.${category.id}">${escapeHtml(category.label)}</button>`).join('');
+
+    return `
+<div class="service-filter" role="group" aria-label="Leistungen filtern" data-i18n-aria-label="services.filter.label"
+    data-service-filter hidden>
+    <button type="button" class="service-filter__button" data-service-category="" aria-pressed="true"
+        data-i18n="services.filter.all">Alle</button>${buttons}
+</div>`;
+}
+
+// Duration, price and details stay empty until the practice has confirmed them
+function renderServiceFacts(service) {
+    const key = `services.items.${service.id}`;
+    const facts = [];
+
+    if (service.duration) {
+        const { min, max } = service.duration;
+        facts.push(`
+            <div class="service-item__fact">
+                <dt data-i18n="services.duration">Dauer</dt>
+                <dd data-i18n="services.minutes"${i18nParams({ min, max })}>${min}–${max} Minuten</dd>
+            </div>`);
+    }
+
+    if (service.price) {
+        facts.push(`
+            <div class="service-item__fact">
+                <dt data-i18n="services.price">Kosten</dt>
+                <dd data-i18n="${key}.price">${escapeHtml(service.price)}</dd>
+            </div>`);
+    }
+
+    facts.push(`
+            <div class="service-item__fact">
+                <dt data-i18n="services.insurance">Krankenkasse</dt>
+                <dd data-i18n="${key}.insurance">${escapeHtml(service.insurance)}</dd>
+            </div>`);
+
+    return facts.join('');
+}
+
+// A prescription is only needed for the Kassenleistung, so it is shown on that tag
+function renderServiceTags(practice, service) {
+    return practice.serviceCategories
+        .filter(category => service.categories.includes(category.id))
+        .map(category => {
+            if (category.id === 'kasse' && service.prescription) {
+                return '<span class="service-item__tag service-item__tag--kasse service-item__tag--prescription" ' +
+                    'data-i18n="services.kassePrescription">Kassenleistung mit Verordnung</span>';
+            }
+
+            return `<span class="service-item__tag service-item__tag--${category.id}" ` +
+                `data-i18n="services.categories.${category.id}">${escapeHtml(category.label)}</span>`;
+        })
+        .join('\n                ');
+}
+
+// Accordion entries; <details> keeps them usable without the script
+function renderServices(practice) {
+    return '\n' + practice.services.map(service => {
+        const key = `services.items.${service.id}`;
+        const details = service.details ? `
+        <p class="service-item__text" data-i18n="${key}.details">${escapeHtml(service.details)}</p>` : '';
+        const photo = service.photo ? `
+        <button type="button" class="service-item__photo" data-service-photo="${escapeHtml(service.photo)}"
+            data-i18n="services.photo" hidden>Foto ansehen</button>` : '';
+
+        return `
+<details class="service-item" id="leistung-${service.id}" data-service-categories="${service.categories.join(' ')}">
+    <summary class="service-item__summary">
+        <span class="service-item__checkmark" aria-hidden="true">✔</span>
+        <span class="service-item__content">
+            <strong class="service-item__name" data-i18n="${key}.name">${escapeHtml(service.name)}</strong>
+            <span class="service-item__description" data-i18n="${key}.description">${escapeHtml(service.description)}</span>
+            <span class="service-item__tags">
+                ${renderServiceTags(practice, service)}
+            </span>
+        </span>
+    </summary>
+    <div class="service-item__details">${details}
+        <dl class="service-item__facts">${renderServiceFacts(service)}
+        </dl>${photo}
+    </div>
+</details>`.trimStart();
+    }).join('\n\n');
+}
+
+// **bold** and [text](href); links are limited to web, mail, phone and in-page targets
+function renderInlineMarkdown(text, resolveHref) {
+    return escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            if (!/^(https?:|mailto:|tel:|#)/.test(href)) {
+                throw new Error(`Unsupported link target "${href}"`);
+            }
+
+            const external = /^https?:/.test(href) ? ' target="_blank" rel="noopener"' : '';
+            return `<a href="${resolveHref(href)}" class="contact-item__link"${external}>${label}</a>`;
+        });
+}
+
+// The Markdown subset of FAQ answers: paragraphs separated by blank lines and "- " lists
+function renderMarkdown(markdown, resolveHref = href => href) {
+    return markdown.trim().split(/\n\s*\n/).map(block => {
+        const lines = block.split('\n').map(line => line.trim());
+
+        if (lines.every(line => line.startsWith('- '))) {
+            const items = lines.map(line => `    <li>${renderInlineMarkdown(line.slice(2), resolveHref)}</li>`);
+            return `<ul>\n${items.join('\n')}\n</ul>`;
+        }
+
+        return `<p>${renderInlineMarkdown(lines.join(' '), resolveHref)}</p>`;
+    }).join('\n');
+}
+
+// Questions stay searchable when collapsed; the keywords only feed the search
+function renderFaq(faq) {
+    return '\n' + faq.questions.map(item => {
+        const key = `faq.items.${item.id}`;
+        const answer = renderMarkdown(item.answer).split('\n').map(line => `        ${line}`).join('\n');
+
+        return `
+<details class="faq-item" id="faq-${item.id}" data-faq-keywords="${escapeHtml((item.keywords || []).join(' '))}">
+    <summary class="faq-item__summary">
+        <span class="faq-item__question" data-i18n="${key}.question">${escapeHtml(item.question)}</span>
+    </summary>
+    <div class="faq-item__answer" data-i18n-html="${key}.answer">
+${answer}
+    </div>
+    <a href="#faq-${item.id}" class="faq-item__permalink" data-i18n="faq.permalink">Link zu dieser Antwort</a>
+</details>`.trimStart();
+    }).join('\n\n');
+}
+
+// Consecutive weekdays with identical hours, e.g. Montag – Donnerstag 08:00–18:00
+function groupWeekdays(schedule) {
+    const groups = [];
+
+    WEEKDAYS.forEach(weekday => {
+        const intervals = schedule.weekly[weekday] || [];
+        const key = JSON.stringify(intervals);
+        const last = groups[groups.length - 1];
+
+        if (last && last.key === key) {
+            last.days.push(weekday);
+        } else {
+            groups.push({ key, intervals, days: [weekday] });
+        }
+    });
+
+    return groups;
+}
+
+function formatDays(days) {
+    const names = days.map(day => DAY_NAMES[day]);
+    if (names.length === 1) return names[0];
+    if (names.length === 2) return names.join(', ');
+    return `${names[0]} – ${names[names.length - 1]}`;
+}
+
+// Until the practice confirms the hours, the offline page only asks visitors to call
+function renderOfflineHours(openingHours) {
+    if (!openingHours.confirmed) {
+        return `
+<div class="contact-item offline-hours">
+    <h3 class="contact-item__title">Sprechzeiten</h3>
+    <p class="contact-item__text">Bitte rufen Sie uns an, um die aktuellen Sprechzeiten zu erfahren.</p>
+</div>`;
+    }
+
+    return '\n' + openingHours.schedules.map(schedule => {
+        const rows = groupWeekdays(schedule).map(group => {
+            const hours = group.intervals.length > 0
+                ? group.intervals.map(([open, close]) => `${open} – ${close} Uhr`).join('<br>')
+                : 'geschlossen';
+
+            return `
+        <tr>
+            <th scope="row">${formatDays(group.days)}</th>
+            <td>${hours}</td>
+        </tr>`;
+        }).join('');
+
+        return `
+<div class="contact-item offline-hours">
+    <h3 class="contact-item__title">${escapeHtml(schedule.label)}</h3>
+    <table class="offline-hours__table">${rows}
+    </table>
+</div>`.trimStart();
+    }).join('\n\n');
+}
+
+function buildStructuredData(practice, openingHours) {
+    // Unconfirmed hours are not published to search engines
+    const practiceSchedule = openingHours.confirmed
+        ? openingHours.schedules.find(schedule => schedule.id === 'practice')
+        : null;
+
+    const openingHoursSpecification = practiceSchedule
+        ? groupWeekdays(practiceSchedule).flatMap(group => group.intervals.map(([opens, closes]) => ({
+            '@type': 'OpeningHoursSpecification',
+            dayOfWeek: group.days.map(day => day.charAt(0).toUpperCase() + day.slice(1)),
+            opens,
+            closes
+        })))
+        : [];
+
+    // Vacations are published as closed days
+    const specialOpeningHoursSpecification = (practiceSchedule ? openingHours.closures || [] : []).map(closure => ({
+        '@type': 'OpeningHoursSpecification',
+        validFrom: closure.from,
+        validThrough: closure.to,
+        opens: '00:00',
+        closes: '00:00'
+    }));
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Podiatrist',
+        '@id': `${practice.url}/#praxis`,
+        name: practice.name,
+        alternateName: practice.legalName,
+        description: `${practice.legalName} in ${practice.address.city}. ${practice.description}`,
+        url: practice.url,
+        logo: absoluteUrl(practice, practice.logo),
+        image: absoluteUrl(practice, practice.image),
+        telephone: toInternational(practice.phone.number),
+        email: practice.email,
+        address: {
+            '@type': 'PostalAddress',
+            streetAddress: practice.address.street,
+            postalCode: practice.address.postalCode,
+            addressLocality: practice.address.city,
+            addressRegion: practice.address.region,
+            addressCountry: practice.address.country
+        },
+        geo: {
+            '@type': 'GeoCoordinates',
+            latitude: practice.geo.latitude,
+            longitude: practice.geo.longitude
+        },
+        areaServed: practice.address.city,
+        ...(openingHoursSpecification.length > 0 && { openingHoursSpecification }),
+        ...(specialOpeningHoursSpecification.length > 0 && { specialOpeningHoursSpecification }),
+        employee: practice.owners.map(owner => ({
+            '@type': 'Person',
+            name: owner.name,
+            telephone: toInternational(owner.mobile)
+        })),
+        hasOfferCatalog: {
+            '@type': 'OfferCatalog',
+            name: 'Leistungen',
+            itemListElement: practice.services.map(service => ({
+                '@type': 'Offer',
+                itemOffered: {
+                    '@type': 'Service',
+                    name: service.name,
+                    description: service.description
+                }
+            }))
+        }
+    };
+}
+
+// FAQ answers keep their markup, which search engines accept in Answer.text
+function buildFaqStructuredData(practice, faq) {
+    const resolveHref = href => (href.startsWith('#') ? absoluteUrl(practice, href) : href);
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        '@id': `${practice.url}/#faq`,
+        inLanguage: 'de',
+        mainEntity: faq.questions.map(item => ({
+            '@type': 'Question',
+            name: item.question,
+            url: `${practice.url}/#faq-${item.id}`,
+            acceptedAnswer: {
+                '@type': 'Answer',
+                text: renderMarkdown(item.answer, resolveHref).replace(/\n\s*/g, '')
+            }
+        }))
+    };
+}
+
+// Map shown before Google Maps is loaded; OpenStreetMap requires the attribution next to it
+function renderMapPlaceholder(practice) {
+    const { street, postalCode, city } = practice.address;
+    const address = escapeHtml(`${street}, ${postalCode} ${city}`);
+
+    if (!fs.existsSync(path.join(ROOT_DIR, STATIC_MAP))) {
+        return `
+<img src="${MAP_SKETCH}" class="map-placeholder__image" width="600" height="450"
+    alt="Kartenskizze: Praxisstandort ${address}"
+    data-i18n-alt="location.mapSketch">`;
+    }
+
+    return `
+<img src="${STATIC_MAP}" class="map-placeholder__image" width="600" height="450"
+    alt="Stadtplan: Praxisstandort ${address}"
+    data-i18n-alt="location.mapImage">
+<p class="map-placeholder__attribution" data-i18n-html="location.mapAttribution">
+    © <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener">OpenStreetMap</a>-Mitwirkende
+</p>`;
+}
+
+function renderJsonLd(data) {
+    // Escape "<" so the JSON can never close the script element
+    const json = JSON.stringify(data, null, 4).replace(/</g, '\\u003c');
+    return `\n<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+// Replace the content between <!-- practice:name --> and <!-- /practice:name -->, indented like the marker
+function replaceRegion(html, name, content) {
+    const pattern = new RegExp(`([ \\t]*)<!-- practice:${name} -->[\\s\\S]*?<!-- /practice:${name} -->`);
+    const match = html.match(pattern);
+    if (!match) {
+        throw new Error(`Region "practice:${name}" not found`);
+    }
+
+    const indent = match[1];
+    const body = content
+        .split('\n')
+        .map(line => (line.trim() ? indent + line : ''))
+        .join('\n');
+
+    return html.replace(pattern, `${indent}<!-- practice:${name} -->${body}\n${indent}<!-- /practice:${name} -->`);
+}
+
+function updatePage(page, regions) {
+    const filePath = path.join(ROOT_DIR, page);
+    const original = fs.readFileSync(filePath, 'utf8');
+    const updated = Object.entries(regions).reduce((html, [name, content]) => replaceRegion(html, name, content), original);
+
+    if (updated !== original) {
+        fs.writeFileSync(filePath, updated);
+        console.log(`Updated ${page}`);
+    } else {
+        console.log(`${page} is up to date`);
+    }
+}
+
+function main() {
+    const practice = JSON.parse(fs.readFileSync(PRACTICE_PATH, 'utf8'));
+    const openingHours = JSON.parse(fs.readFileSync(OPENING_HOURS_PATH, 'utf8'));
+    const faq = JSON.parse(fs.readFileSync(FAQ_PATH, 'utf8'));
+
+    updatePage('index.html', {
+        meta: renderMeta(practice),
+        'structured-data': renderJsonLd(buildStructuredData(practice, openingHours)),
+        'faq-structured-data': renderJsonLd(buildFaqStructuredData(practice, faq)),
+        'service-filter': renderServiceFilter(practice),
+        services: renderServices(practice),
+        contact: renderContact(practice),
+        impressum: renderImpressum(practice),
+        privacy: renderPrivacy(practice),
+        faq: renderFaq(faq),
+        'map-placeholder': renderMapPlaceholder(practice)
+    });
+
+    updatePage('offline.html', {
+        contact: renderContact(practice),
+        'opening-hours': renderOfflineHours(openingHours)
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Practice data build failed:', error.message);
+    process.exit(1);
+}
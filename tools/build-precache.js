@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Precache manifest build for Podologie Weimar
+ * Hashes every file the service worker precaches and writes precache-manifest.js,
+ * which sw.js imports. Any content change produces a new version, so browsers
+ * install a new service worker and the page can offer a reload.
+ *
+ * Usage: node tools/build-precache.js
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const OUTPUT_PATH = path.join(ROOT_DIR, 'precache-manifest.js');
+
+// Core files needed to render the site offline
+const CORE_FILES = [
+    'index.html',
+    'offline.html',
+    'styles.css',
+    'script.js',
+    'manifest.json',
+    'images/manifest.json',
+    'data/opening-hours.json',
+    'data/practice.json',
+    'data/service-area.json',
+    'data/i18n/en.json',
+    'data/i18n/ru.json'
+];
+
+// Pages whose referenced images (src, data-src, href) are precached as well
+const PAGES = ['index.html', 'offline.html'];
+const IMAGE_REFERENCE_PATTERN = /(?:src|data-src|href)="\/?((?:images|icons)\/[^"]+\.(?:jpe?g|png|webp|avif|svg))"/g;
+
+// Written by tools/build-images.js; lists the carousel photos and their responsive variants
+const IMAGE_MANIFEST_PATH = path.join(ROOT_DIR, 'images', 'manifest.json');
+
+function hashFile(relativePath) {
+    const content = fs.readFileSync(path.join(ROOT_DIR, relativePath));
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+}
+
+// Originals listed in images/manifest.json and their generated variants, including the
+// small JPEG each carousel <img> uses as its src without JavaScript
+function findResponsiveImages() {
+    if (!fs.existsSync(IMAGE_MANIFEST_PATH)) return new Set();
+
+    const manifest = JSON.parse(fs.readFileSync(IMAGE_MANIFEST_PATH, 'utf8'));
+    const images = new Set();
+
+    Object.entries(manifest.images || {}).forEach(([original, entry]) => {
+        images.add(original);
+        Object.values(entry.sources || {}).flat().forEach(variant => images.add(variant.src));
+    });
+
+    return images;
+}
+
+// Logo, map sketch and other fixed images. Carousel photos are left to the runtime image cache,
+// which stores only the variant the browser picks; offline, their blurred placeholders from the
+// precached images/manifest.json are shown instead.
+function findReferencedImages() {
+    const responsiveImages = findResponsiveImages();
+    const images = new Set();
+
+    PAGES.forEach(page => {
+        const html = fs.readFileSync(path.join(ROOT_DIR, page), 'utf8');
+        for (const match of html.matchAll(IMAGE_REFERENCE_PATTERN)) {
+            if (!responsiveImages.has(match[1])) images.add(match[1]);
+        }
+    });
+
+    return Array.from(images).sort();
+}
+
+// Icons listed in the web app manifest, including shortcut icons
+function findManifestIcons() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'manifest.json'), 'utf8'));
+    const shortcutIcons = (manifest.shortcuts || []).flatMap(shortcut => shortcut.icons || []);
+
+    return [...manifest.icons, ...shortcutIcons].map(icon => icon.src.replace(/^\//, ''));
+}
+
+function main() {
+    const files = Array.from(new Set([...CORE_FILES, ...findReferencedImages(), ...findManifestIcons()]));
+
+    const missing = files.filter(file => !fs.existsSync(path.join(ROOT_DIR, file)));
+    if (missing.length > 0) {
+        throw new Error(`Missing precache files: ${missing.join(', ')}`);
+    }
+
+    const assets = files.map(file => ({ url: `/${file}`, revision: hashFile(file) }));
+
+    // The site root is served from index.html
+    const indexAsset = assets.find(asset => asset.url === '/index.html');
+    assets.unshift({ url: '/', revision: indexAsset.revision });
+
+    const version = crypto.createHash('sha256')
+        .update(assets.map(asset => `${asset.url}@${asset.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, 10);
+
+    const output = [
+        '// Generated by tools/build-precache.js – do not edit by hand.',
+        `self.PRECACHE_MANIFEST = ${JSON.stringify({ version, assets }, null, 4)};`,
+        ''
+    ].join('\n');
+
+    fs.writeFileSync(OUTPUT_PATH, output);
+    console.log(`Wrote precache-manifest.js (version ${version}, ${assets.length} assets)`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Precache build failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Static map build for Podologie Weimar
+ * Renders images/map-static.png, the map shown in the Standort tab before Google Maps is
+ * loaded, from OpenStreetMap tiles around the practice's geo coordinates in data/practice.json
+ * and marks the practice with a pin. The practice data and precache builds are run at the end,
+ * so the page switches from the sketch to the rendered map with its OpenStreetMap attribution.
+ *
+ * Needs network access to tile.openstreetmap.org; run it once and commit the image, the tile
+ * usage policy does not allow fetching tiles on every build.
+ *
+ * Usage: node tools/build-static-map.js
+ */
+
+'use strict';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    console.error('This script needs sharp: run "npm install --no-save sharp" first.');
+    process.exit(1);
+}
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PRACTICE_PATH = path.join(ROOT_DIR, 'data', 'practice.json');
+const OUTPUT_PATH = path.join(ROOT_DIR, 'images', 'map-static.png');
+
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SIZE = 256;
+const USER_AGENT = 'podologieweimar.de static map build (one-off)';
+
+// Street level with house numbers; matches the placeholder size in index.html
+const ZOOM = 17;
+const WIDTH = 600;
+const HEIGHT = 450;
+
+const PIN_SVG = `
+<svg xmlns="http://www.w3.org/2000/svg" width="36" height="48" viewBox="0 0 36 48">
+    <path d="M18 1C8.6 1 1 8.6 1 18c0 12.5 17 29 17 29s17-16.5 17-29C35 8.6 27.4 1 18 1z"
+        fill="#2c5aa0" stroke="#ffffff" stroke-width="2"/>
+    <circle cx="18" cy="18" r="6" fill="#ffffff"/>
+</svg>`;
+
+// Web Mercator position in pixels at the given zoom level
+function toWorldPixels(latitude, longitude, zoom) {
+    const scale = TILE_SIZE * 2 ** zoom;
+    const sinLatitude = Math.sin(latitude * Math.PI / 180);
+
+    return {
+        x: (longitude + 180) / 360 * scale,
+        y: (0.5 - Math.log((1 + sinLatitude) / (1 - sinLatitude)) / (4 * Math.PI)) * scale
+    };
+}
+
+async function fetchTile(x, y) {
+    const url = TILE_URL.replace('{z}', ZOOM).replace('{x}', x).replace('{y}', y);
+    const response = await fetch(url, { headers: { 'User-Agent': USER_AGENT } });
+    if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+}
+
+async function main() {
+    const { geo } = JSON.parse(fs.readFileSync(PRACTICE_PATH, 'utf8'));
+    const center = toWorldPixels(geo.latitude, geo.longitude, ZOOM);
+
+    const left = Math.round(center.x - WIDTH / 2);
+    const top = Math.round(center.y - HEIGHT / 2);
+    const firstTile = { x: Math.floor(left / TILE_SIZE), y: Math.floor(top / TILE_SIZE) };
+    const lastTile = {
+        x: Math.floor((left + WIDTH - 1) / TILE_SIZE),
+        y: Math.floor((top + HEIGHT - 1) / TILE_SIZE)
+    };
+
+    // Fetched one after another to stay within the tile usage policy
+    const tiles = [];
+    for (let y = firstTile.y; y <= lastTile.y; y++) {
+        for (let x = firstTile.x; x <= lastTile.x; x++) {
+            tiles.push({
+                input: await fetchTile(x, y),
+                left: (x - firstTile.x) * TILE_SIZE,
+                top: (y - firstTile.y) * TILE_SIZE
+            });
+        }
+    }
+
+    const mosaic = await sharp({
+        create: {
+            width: (lastTile.x - firstTile.x + 1) * TILE_SIZE,
+            height: (lastTile.y - firstTile.y + 1) * TILE_SIZE,
+            channels: 3,
+            background: '#ffffff'
+        }
+    })
+        .composite(tiles)
+        .png()
+        .toBuffer();
+
+    // The pin's tip marks the practice in the middle of the image
+    await sharp(mosaic)
+        .extract({
+            left: left - firstTile.x * TILE_SIZE,
+            top: top - firstTile.y * TILE_SIZE,
+            width: WIDTH,
+            height: HEIGHT
+        })
+        .composite([{ input: Buffer.from(PIN_SVG), left: WIDTH / 2 - 18, top: HEIGHT / 2 - 47 }])
+        .png({ palette: true, quality: 90 })
+        .toFile(OUTPUT_PATH);
+
+    console.log(`Wrote ${path.relative(ROOT_DIR, OUTPUT_PATH)} (${tiles.length} tiles)`);
+
+    execFileSync(process.execPath, [path.join(__dirname, 'build-practice.js')], { stdio: 'inherit' });
+    execFileSync(process.execPath, [path.join(__dirname, 'build-precache.js')], { stdio: 'inherit' });
+}
+
+main().catch((error) => {
+    console.error('Static map build failed:', error);
+    process.exit(1);
+});